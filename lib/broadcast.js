@@ -0,0 +1,283 @@
+'use strict'
+
+var EventEmitter = require('events');
+var assign = require('lodash/assign');
+var uniq = require('lodash/uniq');
+var map = require('lodash/map');
+var errors = require('./errors');
+
+var DEFAULTS = {
+    // messages per second, telegram allows about 30 messages per second
+    rate: 25,
+    // max count of requests at the same time
+    concurrency: 10,
+    // how many times the message is resent after network or server errors
+    retries: 3,
+    // delay before resending after network or server errors, in ms
+    retryDelay: 1000
+};
+
+/**
+ * Sending of the same message to many chats
+ * Events: progress, delivered, failed, paused, resumed, done
+ * Broadcast is thenable, so it can be awaited for the summary
+ */
+class Broadcast extends EventEmitter {
+    /**
+     * @param {Array} chatIds - identifiers of chats
+     * @param {Function} send - function which gets chat identifier and sends the message, returns promise
+     * @param {Object} [options] - rate, concurrency, retries, retryDelay and state of interrupted broadcast
+     */
+    constructor(chatIds, send, options) {
+        super();
+
+        options = assign({}, DEFAULTS, options);
+
+        let state = options.state;
+
+        this._send = send;
+        this._options = options;
+        this._pending = state ? state.pending.slice() : uniq(chatIds);
+        this._summary = state ? this._restoreSummary(state.summary) : {
+            total: this._pending.length,
+            delivered: [],
+            blocked: [],
+            deactivated: [],
+            migrated: [],
+            failed: []
+        };
+        this._attempts = {};
+        this._active = [];
+        // chats which wait for resending after temporary errors
+        this._delayed = [];
+        this._nextTime = 0;
+        this._timer = null;
+        this._paused = false;
+        this._finished = false;
+        this._promise = new Promise((resolve) => {
+            this._resolve = resolve;
+        });
+
+        // start on next tick, so listeners can be added
+        setImmediate(() => this._tick());
+    }
+
+    /**
+     * Wait for the end of the broadcast
+     * @param {Function} onFulfilled - callback with summary
+     * @param {Function} [onRejected] - callback with error
+     * @return {Promise}
+     */
+    then(onFulfilled, onRejected) {
+        return this._promise.then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Pause sending, requests in progress will be completed
+     */
+    pause() {
+        if (this._paused || this._finished) {
+            return;
+        }
+
+        this._paused = true;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this.emit('paused', this.progress());
+    }
+
+    /**
+     * Resume paused sending
+     */
+    resume() {
+        if (!this._paused) {
+            return;
+        }
+
+        this._paused = false;
+        this.emit('resumed', this.progress());
+        this._tick();
+    }
+
+    /**
+     * Get progress of the broadcast
+     * @return {Object} - total count of chats and counts of processed chats by result
+     */
+    progress() {
+        let summary = this._summary;
+        let done = summary.delivered.length + summary.blocked.length + summary.deactivated.length +
+            summary.failed.length;
+
+        return {
+            total: summary.total,
+            done: done,
+            delivered: summary.delivered.length,
+            blocked: summary.blocked.length,
+            deactivated: summary.deactivated.length,
+            failed: summary.failed.length
+        };
+    }
+
+    /**
+     * Get serializable state of the broadcast, it can be passed in options.state to continue the broadcast
+     * @return {Object}
+     */
+    state() {
+        let summary = assign({}, this._summary, {
+            failed: map(this._summary.failed, (item) => {
+                return { chatId: item.chatId, error: item.error && (item.error.message || String(item.error)) };
+            })
+        });
+
+        return {
+            // requests in progress are not completed, so they are sent again after restore
+            pending: this._active.concat(this._delayed, this._pending),
+            summary: summary
+        };
+    }
+
+    /**
+     * Restore summary from saved state
+     * @param {Object} summary - saved summary
+     * @return {Object}
+     * @private
+     */
+    _restoreSummary(summary) {
+        return {
+            total: summary.total,
+            delivered: summary.delivered.slice(),
+            blocked: summary.blocked.slice(),
+            deactivated: summary.deactivated.slice(),
+            migrated: summary.migrated.slice(),
+            failed: summary.failed.slice()
+        };
+    }
+
+    /**
+     * Send messages which can be sent now and plan the next sending
+     * @private
+     */
+    _tick() {
+        if (this._paused || this._finished) {
+            return;
+        }
+
+        let now = Date.now();
+
+        while (this._pending.length && this._active.length < this._options.concurrency && now >= this._nextTime) {
+            this._nextTime = now + 1000 / this._options.rate;
+            this._sendTo(this._pending.shift());
+        }
+
+        if (!this._pending.length && !this._active.length && !this._delayed.length) {
+            this._finish();
+            return;
+        }
+
+        if (this._pending.length && this._active.length < this._options.concurrency && !this._timer) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._tick();
+            }, Math.max(0, this._nextTime - now));
+        }
+    }
+
+    /**
+     * Send message to the chat
+     * @param {Number|String} chatId - identifier of the chat
+     * @private
+     */
+    _sendTo(chatId) {
+        this._active.push(chatId);
+
+        Promise.resolve().then(() => this._send(chatId)).then((result) => {
+            this._summary.delivered.push(chatId);
+            this._done(chatId);
+            this.emit('delivered', chatId, result);
+            this.emit('progress', this.progress());
+        }, (err) => {
+            this._done(chatId);
+            this._onError(chatId, err);
+        }).then(() => this._tick());
+    }
+
+    /**
+     * Remove chat from active requests
+     * @param {Number|String} chatId - identifier of the chat
+     * @private
+     */
+    _done(chatId) {
+        let index = this._active.indexOf(chatId);
+
+        index !== -1 && this._active.splice(index, 1);
+    }
+
+    /**
+     * Process error of sending: retry or register failure
+     * @param {Number|String} chatId - identifier of the chat
+     * @param {Error} err - error
+     * @private
+     */
+    _onError(chatId, err) {
+        let summary = this._summary;
+
+        if (err instanceof errors.TooManyRequestsError) {
+            // stop sending to all chats for the time required by telegram
+            this._nextTime = Date.now() + (err.retryAfter || 1) * 1000;
+            this._pending.unshift(chatId);
+            return;
+        }
+
+        if (err instanceof errors.ChatMigratedError) {
+            summary.migrated.push({ from: chatId, to: err.migrateToChatId });
+            this._pending.unshift(err.migrateToChatId);
+            return;
+        }
+
+        if (err instanceof errors.BotBlockedError || err instanceof errors.BotKickedError) {
+            summary.blocked.push(chatId);
+            this.emit('failed', chatId, err);
+        } else if (err instanceof errors.UserDeactivatedError || err instanceof errors.ChatNotFoundError) {
+            summary.deactivated.push(chatId);
+            this.emit('failed', chatId, err);
+        } else if (this._isTransient(err) && (this._attempts[chatId] || 0) < this._options.retries) {
+            this._attempts[chatId] = (this._attempts[chatId] || 0) + 1;
+            this._delayed.push(chatId);
+
+            setTimeout(() => {
+                this._delayed.splice(this._delayed.indexOf(chatId), 1);
+                this._pending.push(chatId);
+                this._tick();
+            }, this._options.retryDelay);
+            return;
+        } else {
+            summary.failed.push({ chatId: chatId, error: err });
+            this.emit('failed', chatId, err);
+        }
+
+        this.emit('progress', this.progress());
+    }
+
+    /**
+     * Check if the error is temporary and the message can be resent
+     * @param {Error} err - error
+     * @return {Boolean}
+     * @private
+     */
+    _isTransient(err) {
+        return err instanceof errors.NetworkError || err instanceof errors.HttpError ||
+            (err instanceof errors.ApiError && err.code >= 500);
+    }
+
+    /**
+     * Finish the broadcast
+     * @private
+     */
+    _finish() {
+        this._finished = true;
+        this.emit('done', this._summary);
+        this._resolve(this._summary);
+    }
+}
+
+module.exports = Broadcast;
@@ -0,0 +1,234 @@
+'use strict'
+
+var chunk = require('lodash/chunk');
+var includes = require('lodash/includes');
+var isArray = require('lodash/isArray');
+var isFunction = require('lodash/isFunction');
+var isString = require('lodash/isString');
+
+/**
+ * Names of months and weekdays by locale, other locales can be added
+ */
+var messages = {
+    en: {
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+            'November', 'December'],
+        // weekdays begin with Sunday like Date#getDay
+        weekdays: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'],
+        date: 'Choose a date:',
+        time: 'Choose time:',
+        back: '« Back'
+    },
+    ru: {
+        months: ['Январь', 'Февраль', 'Март', 'Апрель', 'Май', 'Июнь', 'Июль', 'Август', 'Сентябрь', 'Октябрь',
+            'Ноябрь', 'Декабрь'],
+        weekdays: ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'],
+        date: 'Выберите дату:',
+        time: 'Выберите время:',
+        back: '« Назад'
+    }
+};
+
+/**
+ * Get names for locale, English names are used for unknown locales
+ * @param {String} [locale] - locale or language code of the user, e.g. en or ru-RU
+ * @return {Object}
+ */
+function getMessages(locale) {
+    let language = isString(locale) ? locale.toLowerCase().split(/[-_]/)[0] : 'en';
+
+    return messages[language] || messages.en;
+}
+
+/**
+ * Get start of the day
+ * @param {Date} date - date
+ * @return {Date}
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Convert date to key for callback data: YYYY-MM-DD or YYYY-MM
+ * @param {Date} date - date
+ * @param {Boolean} [month] - key of the month
+ * @return {String}
+ */
+function toKey(date, month) {
+    let pad = (value) => (value < 10 ? '0' : '') + value;
+    let key = date.getFullYear() + '-' + pad(date.getMonth() + 1);
+
+    return month ? key : key + '-' + pad(date.getDate());
+}
+
+/**
+ * Convert key from callback data to date
+ * @param {String} key - YYYY-MM-DD or YYYY-MM
+ * @return {Date|undefined}
+ */
+function fromKey(key) {
+    let match = key.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+
+    return match ? new Date(+match[1], +match[2] - 1, match[3] ? +match[3] : 1) : undefined;
+}
+
+/**
+ * Check if the date can be chosen
+ * @param {Date} date - date
+ * @param {Object} options - min, max, disabled (list of dates or function with date)
+ * @return {Boolean}
+ */
+function isDateAllowed(date, options) {
+    if (options.min && date < startOfDay(options.min)) {
+        return false;
+    }
+
+    if (options.max && date > startOfDay(options.max)) {
+        return false;
+    }
+
+    if (isFunction(options.disabled)) {
+        return !options.disabled(date);
+    }
+
+    return !(isArray(options.disabled) && includes(options.disabled.map((item) => toKey(item)), toKey(date)));
+}
+
+/**
+ * Build inline keyboard with days of the month
+ * @param {Date} month - any date of the month
+ * @param {Object} options - min, max, disabled, firstWeekday (0 - Sunday, 1 - Monday by default), locale
+ * @param {String} prefix - prefix of callback data
+ * @return {Object[][]}
+ */
+function getMonthKeyboard(month, options, prefix) {
+    let names = getMessages(options.locale);
+    let firstWeekday = options.firstWeekday !== undefined ? options.firstWeekday : 1;
+    let first = new Date(month.getFullYear(), month.getMonth(), 1);
+    let prev = new Date(first.getFullYear(), first.getMonth() - 1, 1);
+    let next = new Date(first.getFullYear(), first.getMonth() + 1, 1);
+    let daysCount = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    let empty = { text: ' ', callback_data: prefix + 'noop' };
+    let hasPrev = !options.min || first > startOfDay(options.min);
+    let hasNext = !options.max || next <= startOfDay(options.max);
+    let days = [];
+
+    for (let i = 0; i < (first.getDay() - firstWeekday + 7) % 7; i++) {
+        days.push(empty);
+    }
+
+    for (let day = 1; day <= daysCount; day++) {
+        let date = new Date(first.getFullYear(), first.getMonth(), day);
+
+        days.push(isDateAllowed(date, options) ?
+            { text: String(day), callback_data: prefix + 'date:' + toKey(date) } :
+            { text: '·', callback_data: prefix + 'noop' });
+    }
+
+    while (days.length % 7) {
+        days.push(empty);
+    }
+
+    let weekdays = [];
+
+    for (let i = 0; i < 7; i++) {
+        weekdays.push({ text: names.weekdays[(firstWeekday + i) % 7], callback_data: prefix + 'noop' });
+    }
+
+    return [[
+        hasPrev ? { text: '‹', callback_data: prefix + 'month:' + toKey(prev, true) } : empty,
+        { text: names.months[first.getMonth()] + ' ' + first.getFullYear(), callback_data: prefix + 'noop' },
+        hasNext ? { text: '›', callback_data: prefix + 'month:' + toKey(next, true) } : empty
+    ], weekdays].concat(chunk(days, 7));
+}
+
+/**
+ * Parse time string
+ * @param {String} time - HH:MM
+ * @return {Number} - minutes since midnight
+ */
+function parseTime(time) {
+    let parts = String(time).split(':');
+
+    return +parts[0] * 60 + (+parts[1] || 0);
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {Number} minutes - minutes since midnight
+ * @return {String}
+ */
+function formatTime(minutes) {
+    let pad = (value) => (value < 10 ? '0' : '') + value;
+
+    return pad(Math.floor(minutes / 60)) + ':' + pad(minutes % 60);
+}
+
+/**
+ * Get available times by options
+ * @param {Object} options - min and max (HH:MM), step in minutes (15 by default)
+ * @return {Number[]} - minutes since midnight
+ */
+function getTimes(options) {
+    let min = options.min ? parseTime(options.min) : 0;
+    let max = options.max ? parseTime(options.max) : 24 * 60 - 1;
+    let step = options.step || 15;
+    let times = [];
+
+    for (let time = 0; time < 24 * 60; time += step) {
+        time >= min && time <= max && times.push(time);
+    }
+
+    return times;
+}
+
+/**
+ * Build inline keyboard with hours which have available times
+ * @param {Object} options - min, max, step
+ * @param {String} prefix - prefix of callback data
+ * @return {Object[][]}
+ */
+function getHoursKeyboard(options, prefix) {
+    let hours = [];
+
+    getTimes(options).forEach((time) => {
+        let hour = Math.floor(time / 60);
+
+        includes(hours, hour) || hours.push(hour);
+    });
+
+    return chunk(hours.map((hour) => {
+        return { text: formatTime(hour * 60), callback_data: prefix + 'hour:' + hour };
+    }), 6);
+}
+
+/**
+ * Build inline keyboard with available times of the hour
+ * @param {Number} hour - hour
+ * @param {Object} options - min, max, step, locale
+ * @param {String} prefix - prefix of callback data
+ * @return {Object[][]}
+ */
+function getMinutesKeyboard(hour, options, prefix) {
+    let times = getTimes(options).filter((time) => Math.floor(time / 60) === hour);
+
+    return chunk(times.map((time) => {
+        return { text: formatTime(time), callback_data: prefix + 'time:' + time };
+    }), 4).concat([[{ text: getMessages(options.locale).back, callback_data: prefix + 'hours' }]]);
+}
+
+module.exports = {
+    messages: messages,
+    getMessages: getMessages,
+    startOfDay: startOfDay,
+    toKey: toKey,
+    fromKey: fromKey,
+    isDateAllowed: isDateAllowed,
+    getMonthKeyboard: getMonthKeyboard,
+    parseTime: parseTime,
+    formatTime: formatTime,
+    getTimes: getTimes,
+    getHoursKeyboard: getHoursKeyboard,
+    getMinutesKeyboard: getMinutesKeyboard
+};
@@ -0,0 +1,249 @@
+'use strict'
+
+var find = require('lodash/find');
+var map = require('lodash/map');
+var assign = require('lodash/assign');
+
+var PARAM_REGEXP = /^([<\[])(\.\.\.)?(\w+)(?::(\w+))?(?:=(.*))?[>\]]$/;
+var TOKEN_REGEXP = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g;
+
+var BOOLEAN_VALUES = {
+    'true': true, 'yes': true, 'on': true, '1': true,
+    'false': false, 'no': false, 'off': false, '0': false
+};
+
+/**
+ * Converters of argument values by type, they return undefined for invalid values
+ */
+var types = {
+    string: (value) => value,
+
+    number: (value) => {
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) ? parseFloat(value) : undefined;
+    },
+
+    int: (value) => {
+        return /^[-+]?\d+$/.test(value) ? parseInt(value, 10) : undefined;
+    },
+
+    boolean: (value) => BOOLEAN_VALUES[value.toLowerCase()],
+
+    user: (value, token, context) => {
+        let entity = find(context.entities, (item) => {
+            return item.type === 'text_mention' && item.offset === context.offset + token.index;
+        });
+
+        if (entity) {
+            return entity.user;
+        }
+
+        if (/^@\w{3,}$/.test(value)) {
+            return { username: value.slice(1) };
+        }
+
+        return /^\d+$/.test(value) ? { id: parseInt(value, 10) } : undefined;
+    },
+
+    date: (value) => {
+        // YYYY-MM-DD or DD.MM.YYYY or DD/MM/YYYY
+        let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        let year, month, day;
+
+        if (match) {
+            year = +match[1];
+            month = +match[2];
+            day = +match[3];
+        } else {
+            match = value.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+
+            if (!match) {
+                return;
+            }
+
+            year = +match[3];
+            month = +match[2];
+            day = +match[1];
+        }
+
+        let date = new Date(year, month - 1, day);
+
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return;
+        }
+
+        return date;
+    }
+};
+
+/**
+ * Check if the command string is a signature with typed params, like "add <name> [age:int]"
+ * @param {String} command - command string
+ * @return {Boolean}
+ */
+function isSignature(command) {
+    return /[<\[]/.test(command);
+}
+
+/**
+ * Check definitions of params
+ * @param {Object[]} params - definitions of params
+ * @return {Object[]}
+ */
+function checkParams(params) {
+    let hasOptional = false;
+
+    return map(params, (param, i) => {
+        param = assign({ type: 'string' }, param);
+
+        if (!types[param.type]) {
+            throw new Error('Unknown type of command param ' + param.name + ': ' + param.type);
+        }
+
+        if (param.rest && i !== params.length - 1) {
+            throw new Error('Rest param ' + param.name + ' should be the last one');
+        }
+
+        if (!param.optional && hasOptional) {
+            throw new Error('Required param ' + param.name + ' should not follow optional params');
+        }
+
+        hasOptional = hasOptional || param.optional;
+
+        return param;
+    });
+}
+
+/**
+ * Parse command signature, e.g. "add <name> <age:int> [note:string=none] [...comment]"
+ * @param {String} signature - command signature without slash
+ * @return {Object} - name of the command and definitions of params
+ */
+function parseSignature(signature) {
+    let parts = signature.trim().split(/\s+/);
+
+    let params = parts.slice(1).map((part) => {
+        let match = part.match(PARAM_REGEXP);
+
+        if (!match) {
+            throw new Error('Invalid param in command signature: ' + part);
+        }
+
+        let param = {
+            name: match[3],
+            type: match[4] || 'string',
+            optional: match[1] === '[',
+            rest: Boolean(match[2])
+        };
+
+        if (match[5] !== undefined) {
+            param.default = types[param.type] ? types[param.type](match[5], { index: 0 }, {}) : match[5];
+        }
+
+        return param;
+    });
+
+    return {
+        name: parts[0],
+        params: checkParams(params)
+    };
+}
+
+/**
+ * Get usage string for command
+ * @param {String} name - name of the command
+ * @param {Object[]} params - definitions of params
+ * @return {String}
+ */
+function getUsage(name, params) {
+    let args = params.map((param) => {
+        let str = (param.rest ? '...' : '') + param.name + (param.type !== 'string' ? ':' + param.type : '');
+
+        return param.optional ? '[' + str + ']' : '<' + str + '>';
+    });
+
+    return ['/' + name].concat(args).join(' ');
+}
+
+/**
+ * Split arguments string into tokens, quoted strings are single tokens
+ * @param {String} args - arguments string
+ * @return {Object[]} - value and index of every token
+ */
+function tokenize(args) {
+    let tokens = [];
+    let match;
+
+    TOKEN_REGEXP.lastIndex = 0;
+
+    while ((match = TOKEN_REGEXP.exec(args))) {
+        let quoted = match[1] !== undefined ? match[1] : match[2];
+
+        tokens.push({
+            value: quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : match[3],
+            index: match.index
+        });
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse arguments of command by definitions of params
+ * @param {String} args - arguments string
+ * @param {Object[]} params - definitions of params
+ * @param {Object} [context] - entities of the message and offset of arguments string in the message text
+ * @return {Object} - parsed params or error message
+ */
+function parseArgs(args, params, context) {
+    let tokens = tokenize(args);
+    let result = {};
+    let error;
+
+    context = context || {};
+
+    params.every((param, i) => {
+        let token = tokens[i];
+        let value;
+
+        if (!token) {
+            if (!param.optional) {
+                error = 'Missing argument: ' + param.name;
+                return false;
+            }
+
+            param.default !== undefined && (result[param.name] = param.default);
+            return true;
+        }
+
+        if (param.rest) {
+            value = args.slice(token.index).trim();
+        } else {
+            value = types[param.type](token.value, token, context);
+
+            if (value === undefined) {
+                error = 'Invalid value of ' + param.name + ': "' + token.value + '" is not ' + param.type;
+                return false;
+            }
+        }
+
+        result[param.name] = value;
+
+        return true;
+    });
+
+    if (!error && tokens.length > params.length && !(params.length && params[params.length - 1].rest)) {
+        error = 'Too many arguments';
+    }
+
+    return error ? { error: error } : { params: result };
+}
+
+module.exports = {
+    types: types,
+    isSignature: isSignature,
+    checkParams: checkParams,
+    parseSignature: parseSignature,
+    getUsage: getUsage,
+    tokenize: tokenize,
+    parseArgs: parseArgs
+};
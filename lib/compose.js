@@ -0,0 +1,37 @@
+'use strict'
+
+/**
+ * Compose middleware functions into one function, every middleware gets scope and next function,
+ * next function returns promise which is resolved after all next middleware are executed
+ * @param {Function[]} middleware - list of middleware
+ * @return {Function} - function with scope and final handler, returns promise
+ */
+function compose(middleware) {
+    return (scope, last) => {
+        let index = -1;
+
+        let dispatch = (i) => {
+            if (i <= index) {
+                return Promise.reject(new Error('next() called multiple times'));
+            }
+
+            index = i;
+
+            let fn = i === middleware.length ? last : middleware[i];
+
+            if (!fn) {
+                return Promise.resolve();
+            }
+
+            try {
+                return Promise.resolve(fn(scope, () => dispatch(i + 1)));
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        };
+
+        return dispatch(0);
+    };
+}
+
+module.exports = compose;
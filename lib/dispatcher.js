@@ -0,0 +1,147 @@
+'use strict'
+
+var EventEmitter = require('events');
+
+/**
+ * Dispatcher of tasks: tasks with the same key (chat) are executed strictly one by one,
+ * tasks with different keys are executed concurrently up to the limit
+ * Events: queued, start, done with key, size of the queue and time in queue or execution time in ms
+ */
+class Dispatcher extends EventEmitter {
+    /**
+     * @param {Object} [options] - concurrency: max count of tasks executed at the same time, 10 by default
+     */
+    constructor(options) {
+        super();
+
+        options = options || {};
+
+        this._concurrency = options.concurrency || 10;
+        this._keys = new Map();
+        // keys which have tasks in queue and no running task
+        this._ready = [];
+        this._running = 0;
+        this._size = 0;
+        this._counter = 0;
+    }
+
+    /**
+     * Count of tasks which wait in queue
+     * @return {Number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Count of tasks which are executed now
+     * @return {Number}
+     */
+    get running() {
+        return this._running;
+    }
+
+    /**
+     * Add task to the queue
+     * @param {String|Number} [key] - key of the task, tasks without key are not ordered
+     * @param {Function} task - function which returns promise
+     * @return {Promise} - result of the task
+     */
+    push(key, task) {
+        key = key === undefined || key === null ? '\u0000' + (this._counter++) : String(key);
+
+        let item = this._keys.get(key);
+
+        if (!item) {
+            item = { queue: [], current: null };
+            this._keys.set(key, item);
+        }
+
+        return new Promise((resolve, reject) => {
+            item.queue.push({ task: task, resolve: resolve, reject: reject, queuedAt: Date.now() });
+            this._size++;
+            this.emit('queued', { key: key, size: this._size });
+
+            if (!item.current && item.queue.length === 1) {
+                this._ready.push(key);
+            }
+
+            this._next();
+        });
+    }
+
+    /**
+     * Allow the next task with the key to start before the current task is finished,
+     * e.g. the current task waits for the next message from the same chat
+     * @param {String|Number} key - key of the task
+     */
+    release(key) {
+        key = String(key);
+
+        let item = this._keys.get(key);
+
+        if (item && item.current) {
+            this._finish(key, item);
+        }
+    }
+
+    /**
+     * Start tasks while there are free slots
+     * @private
+     */
+    _next() {
+        while (this._running < this._concurrency && this._ready.length) {
+            let key = this._ready.shift();
+
+            this._start(key, this._keys.get(key));
+        }
+    }
+
+    /**
+     * Start the first task with the key
+     * @param {String} key - key of the task
+     * @param {Object} item - queue of the key
+     * @private
+     */
+    _start(key, item) {
+        let entry = item.queue.shift();
+        let startedAt = Date.now();
+
+        this._size--;
+        this._running++;
+        item.current = entry;
+
+        this.emit('start', { key: key, size: this._size, wait: startedAt - entry.queuedAt });
+
+        Promise.resolve().then(() => entry.task()).then((result) => {
+            this.emit('done', { key: key, size: this._size, latency: Date.now() - startedAt });
+            item.current === entry && this._finish(key, item);
+            entry.resolve(result);
+        }, (err) => {
+            this.emit('done', { key: key, size: this._size, latency: Date.now() - startedAt, error: err });
+            item.current === entry && this._finish(key, item);
+            entry.reject(err);
+        });
+    }
+
+    /**
+     * Free the slot of the current task with the key and start the next one
+     * @param {String} key - key of the task
+     * @param {Object} item - queue of the key
+     * @private
+     */
+    _finish(key, item) {
+        item.current = null;
+        this._running--;
+
+        if (item.queue.length) {
+            this._ready.push(key);
+        } else {
+            this._keys.delete(key);
+        }
+
+        this._next();
+    }
+}
+
+module.exports = Dispatcher;
@@ -0,0 +1,168 @@
+'use strict'
+
+/**
+ * Base class of errors of requests to telegram
+ */
+class TelegramError extends Error {
+    /**
+     * @param {String} message - error message
+     */
+    constructor(message) {
+        super(message);
+
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Request was not completed: connection error, timeout, etc.
+ */
+class NetworkError extends TelegramError {
+    /**
+     * @param {Error} cause - original error
+     */
+    constructor(cause) {
+        super('Network error: ' + (cause && cause.message || cause));
+
+        this.cause = cause;
+        this.code = cause && cause.code;
+    }
+}
+
+/**
+ * Response is not a valid response of telegram api
+ */
+class HttpError extends TelegramError {
+    /**
+     * @param {Number} statusCode - http status code
+     * @param {*} body - body of the response
+     */
+    constructor(statusCode, body) {
+        super('Unexpected response' + (statusCode ? ' with status code ' + statusCode : ''));
+
+        this.statusCode = statusCode;
+        this.body = body;
+    }
+}
+
+/**
+ * Telegram api returned an error
+ */
+class ApiError extends TelegramError {
+    /**
+     * @param {Number} code - error code
+     * @param {String} description - description of the error
+     * @param {Object} [parameters] - parameters of the error: retry_after, migrate_to_chat_id
+     */
+    constructor(code, description, parameters) {
+        super(code + ': ' + description);
+
+        this.code = code;
+        this.description = description;
+        this.parameters = parameters || {};
+    }
+
+    /**
+     * Number of seconds left to wait before the request can be repeated
+     * @return {Number|undefined}
+     */
+    get retryAfter() {
+        return this.parameters.retry_after;
+    }
+
+    /**
+     * The group has been migrated to a supergroup with this identifier
+     * @return {Number|undefined}
+     */
+    get migrateToChatId() {
+        return this.parameters.migrate_to_chat_id;
+    }
+}
+
+/**
+ * Bot was blocked by the user
+ */
+class BotBlockedError extends ApiError {}
+
+/**
+ * Bot was kicked from the group or channel
+ */
+class BotKickedError extends ApiError {}
+
+/**
+ * User is deactivated
+ */
+class UserDeactivatedError extends ApiError {}
+
+/**
+ * Chat is not found
+ */
+class ChatNotFoundError extends ApiError {}
+
+/**
+ * Group chat was upgraded to a supergroup chat, new identifier is in migrateToChatId
+ */
+class ChatMigratedError extends ApiError {}
+
+/**
+ * Too many requests, the request can be repeated after retryAfter seconds
+ */
+class TooManyRequestsError extends ApiError {}
+
+/**
+ * Create error by response of telegram api
+ * @param {Object} body - body of the response: error_code, description and parameters
+ * @return {ApiError}
+ */
+function createApiError(body) {
+    let code = body.error_code;
+    let description = body.description || '';
+    let parameters = body.parameters || {};
+    let ErrorClass = ApiError;
+
+    if (code === 429) {
+        ErrorClass = TooManyRequestsError;
+    } else if (parameters.migrate_to_chat_id) {
+        ErrorClass = ChatMigratedError;
+    } else if (/bot was blocked by the user/i.test(description)) {
+        ErrorClass = BotBlockedError;
+    } else if (/bot was kicked/i.test(description)) {
+        ErrorClass = BotKickedError;
+    } else if (/user is deactivated/i.test(description)) {
+        ErrorClass = UserDeactivatedError;
+    } else if (/chat not found/i.test(description)) {
+        ErrorClass = ChatNotFoundError;
+    }
+
+    return new ErrorClass(code, description, parameters);
+}
+
+/**
+ * Waiting for user message was cancelled: by timeout, cancel command or from outside the handler
+ */
+class WaitCancelledError extends Error {
+    /**
+     * @param {String} reason - timeout, cancel, goTo, replaced or other reason
+     */
+    constructor(reason) {
+        super('Waiting for message was cancelled: ' + reason);
+
+        this.name = 'WaitCancelledError';
+        this.reason = reason;
+    }
+}
+
+module.exports = {
+    TelegramError: TelegramError,
+    NetworkError: NetworkError,
+    HttpError: HttpError,
+    ApiError: ApiError,
+    BotBlockedError: BotBlockedError,
+    BotKickedError: BotKickedError,
+    UserDeactivatedError: UserDeactivatedError,
+    ChatNotFoundError: ChatNotFoundError,
+    ChatMigratedError: ChatMigratedError,
+    TooManyRequestsError: TooManyRequestsError,
+    createApiError: createApiError,
+    WaitCancelledError: WaitCancelledError
+};
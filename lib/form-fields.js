@@ -0,0 +1,437 @@
+'use strict'
+
+var find = require('lodash/find');
+var chunk = require('lodash/chunk');
+var isString = require('lodash/isString');
+var isRegExp = require('lodash/isRegExp');
+var includes = require('lodash/includes');
+var commandParser = require('./command-parser');
+var calendar = require('./calendar');
+
+/**
+ * Default texts of form fields by locale, other locales can be added
+ */
+var messages = {
+    en: {
+        number: 'Please enter a number',
+        integer: 'Please enter an integer',
+        min: 'The number should not be less than {min}',
+        max: 'The number should not be greater than {max}',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number',
+        url: 'Please enter a valid link',
+        date: 'Please enter a date in format {format}',
+        minDate: 'The date should not be earlier than {min}',
+        maxDate: 'The date should not be later than {max}',
+        unavailableDate: 'This date is not available, please choose another one',
+        time: 'Please enter time in format HH:MM',
+        unavailableTime: 'This time is not available, please choose another one',
+        choice: 'Please choose one of the options',
+        regex: 'Invalid value, please try again',
+        photo: 'Please send a photo',
+        document: 'Please send a file',
+        voice: 'Please send a voice message',
+        video: 'Please send a video',
+        audio: 'Please send an audio file',
+        location: 'Please send your location',
+        contact: 'Please send a contact',
+        shareLocation: 'Send location',
+        shareContact: 'Send contact',
+        sharePhone: 'Send phone number',
+        photoValue: 'photo',
+        documentValue: 'file',
+        voiceValue: 'voice message',
+        videoValue: 'video',
+        audioValue: 'audio'
+    },
+    ru: {
+        number: 'Пожалуйста, введите число',
+        integer: 'Пожалуйста, введите целое число',
+        min: 'Число должно быть не меньше {min}',
+        max: 'Число должно быть не больше {max}',
+        email: 'Пожалуйста, введите корректный email',
+        phone: 'Пожалуйста, введите корректный номер телефона',
+        url: 'Пожалуйста, введите корректную ссылку',
+        date: 'Пожалуйста, введите дату в формате {format}',
+        minDate: 'Дата должна быть не раньше {min}',
+        maxDate: 'Дата должна быть не позже {max}',
+        unavailableDate: 'Эта дата недоступна, выберите другую',
+        time: 'Пожалуйста, введите время в формате ЧЧ:ММ',
+        unavailableTime: 'Это время недоступно, выберите другое',
+        choice: 'Пожалуйста, выберите один из вариантов',
+        regex: 'Неверное значение, попробуйте еще раз',
+        photo: 'Пожалуйста, отправьте фото',
+        document: 'Пожалуйста, отправьте файл',
+        voice: 'Пожалуйста, отправьте голосовое сообщение',
+        video: 'Пожалуйста, отправьте видео',
+        audio: 'Пожалуйста, отправьте аудиофайл',
+        location: 'Пожалуйста, отправьте свое местоположение',
+        contact: 'Пожалуйста, отправьте контакт',
+        shareLocation: 'Отправить местоположение',
+        shareContact: 'Отправить контакт',
+        sharePhone: 'Отправить номер телефона',
+        photoValue: 'фото',
+        documentValue: 'файл',
+        voiceValue: 'голосовое сообщение',
+        videoValue: 'видео',
+        audioValue: 'аудио'
+    }
+};
+
+var DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Get texts for locale, English texts are used for unknown locales
+ * @param {String} [locale] - locale or language code of the user, e.g. en or ru-RU
+ * @return {Object}
+ */
+function getMessages(locale) {
+    let language = isString(locale) ? locale.toLowerCase().split(/[-_]/)[0] : 'en';
+
+    return messages[language] || messages.en;
+}
+
+/**
+ * Get text for locale with params: {min}, {max}, {format}
+ * @param {String} key - key of the text
+ * @param {String} [locale] - locale
+ * @param {Object} [params] - values of params
+ * @return {String}
+ */
+function getText(key, locale, params) {
+    let text = getMessages(locale)[key] || messages.en[key] || key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => params && params[name] !== undefined ? params[name] : match);
+}
+
+/**
+ * Get format of date field, format of field can also be a function for review
+ * @param {Object} field - definition of the field
+ * @return {String}
+ */
+function getDateFormat(field) {
+    return isString(field.format) ? field.format : DEFAULT_DATE_FORMAT;
+}
+
+/**
+ * Format date by format string with YYYY, MM, DD tokens
+ * @param {Date} date - date
+ * @param {String} [format] - format, YYYY-MM-DD by default
+ * @return {String}
+ */
+function formatDate(date, format) {
+    let pad = (value) => (value < 10 ? '0' : '') + value;
+
+    return (format || DEFAULT_DATE_FORMAT)
+        .replace('YYYY', date.getFullYear())
+        .replace('MM', pad(date.getMonth() + 1))
+        .replace('DD', pad(date.getDate()));
+}
+
+/**
+ * Parse date by format string with YYYY, MM, DD tokens
+ * @param {String} text - text
+ * @param {String} [format] - format, YYYY-MM-DD by default
+ * @return {Date|undefined}
+ */
+function parseDate(text, format) {
+    let order = [];
+    let source = (format || DEFAULT_DATE_FORMAT).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/YYYY|MM|DD/g, (token) => {
+            order.push(token);
+            return token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+        });
+    let match = text.trim().match(new RegExp('^' + source + '$'));
+
+    if (!match) {
+        return;
+    }
+
+    let parts = {};
+
+    order.forEach((token, i) => {
+        parts[token] = +match[i + 1];
+    });
+
+    let date = new Date(parts.YYYY, parts.MM - 1, parts.DD);
+
+    if (date.getFullYear() !== parts.YYYY || date.getMonth() !== parts.MM - 1 || date.getDate() !== parts.DD) {
+        return;
+    }
+
+    return date;
+}
+
+/**
+ * Create type of field with file
+ * @param {String} name - name of the field in message
+ * @return {Object}
+ */
+function fileType(name) {
+    return {
+        parse: (message) => {
+            let value = message[name];
+
+            // the biggest size of photo
+            return name === 'photo' && value ? value[value.length - 1] : value;
+        },
+        format: (value, field, locale) => value.file_name || getText(name + 'Value', locale)
+    };
+}
+
+/**
+ * Types of form fields: parse returns undefined or error object for invalid answers,
+ * keyboard returns default reply keyboard, format returns text of value for review
+ */
+var types = {
+    number: {
+        parse: (message, field) => {
+            let text = message.text && message.text.trim().replace(',', '.');
+            let value = text && (field.integer ? commandParser.types.int(text) : commandParser.types.number(text));
+
+            if (value === undefined || value === '') {
+                return { error: field.integer ? 'integer' : 'number' };
+            }
+
+            if (field.min !== undefined && value < field.min) {
+                return { error: 'min' };
+            }
+
+            if (field.max !== undefined && value > field.max) {
+                return { error: 'max' };
+            }
+
+            return value;
+        }
+    },
+
+    email: {
+        parse: (message) => {
+            let text = message.text && message.text.trim();
+
+            return text && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? text.toLowerCase() : undefined;
+        }
+    },
+
+    phone: {
+        parse: (message) => {
+            let text = message.contact ? message.contact.phone_number : message.text;
+            let digits = text && text.replace(/[\s\-().]/g, '');
+
+            if (!digits || !/^\+?\d{7,15}$/.test(digits)) {
+                return;
+            }
+
+            return message.contact && digits.indexOf('+') !== 0 ? '+' + digits : digits;
+        },
+        keyboard: (field, locale) => [[{ text: getText('sharePhone', locale), request_contact: true }]]
+    },
+
+    url: {
+        parse: (message) => {
+            let text = message.text && message.text.trim();
+
+            if (!text || /\s/.test(text)) {
+                return;
+            }
+
+            try {
+                let url = new URL(/^[a-z]+:\/\//i.test(text) ? text : 'http://' + text);
+
+                return /^https?:$/.test(url.protocol) && /\./.test(url.hostname) ? url.href : undefined;
+            } catch (e) {
+                return;
+            }
+        }
+    },
+
+    date: {
+        parse: (message, field) => {
+            let date = message.text && parseDate(message.text, getDateFormat(field));
+
+            if (!date) {
+                return;
+            }
+
+            if (field.min && date < field.min) {
+                return { error: 'minDate' };
+            }
+
+            if (field.max && date > field.max) {
+                return { error: 'maxDate' };
+            }
+
+            return date;
+        },
+        format: (value, field) => formatDate(value, getDateFormat(field))
+    },
+
+    // date is chosen in inline calendar, it can also be typed in format of the field
+    calendar: {
+        picker: 'date',
+        parse: (message, field) => {
+            let date = message.text && parseDate(message.text, getDateFormat(field));
+
+            if (!date) {
+                return { error: 'date' };
+            }
+
+            return calendar.isDateAllowed(date, field) ? date : { error: 'unavailableDate' };
+        },
+        format: (value, field) => formatDate(value, getDateFormat(field))
+    },
+
+    // time is chosen in inline keyboard with hours and minutes, it can also be typed as HH:MM
+    time: {
+        picker: 'time',
+        parse: (message, field) => {
+            let match = message.text && message.text.trim().match(/^(\d{1,2})[:.](\d{2})$/);
+            let time = match && +match[1] * 60 + +match[2];
+
+            if (!match || +match[1] > 23 || +match[2] > 59) {
+                return { error: 'time' };
+            }
+
+            if (!includes(calendar.getTimes(field), time)) {
+                return { error: 'unavailableTime' };
+            }
+
+            let date = field.date || new Date();
+
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(time / 60), time % 60);
+        },
+        format: (value) => calendar.formatTime(value.getHours() * 60 + value.getMinutes())
+    },
+
+    choice: {
+        parse: (message, field) => {
+            let choice = find(field.choices, (item) => (isString(item) ? item : item.text) === message.text);
+
+            if (!choice) {
+                return;
+            }
+
+            return isString(choice) ? choice : (choice.value !== undefined ? choice.value : choice.text);
+        },
+        keyboard: (field) => chunk(field.choices.map((item) => isString(item) ? item : item.text), field.columns || 1),
+        format: (value, field) => {
+            let choice = find(field.choices, (item) => !isString(item) && item.value === value);
+
+            return choice ? choice.text : String(value);
+        }
+    },
+
+    regex: {
+        parse: (message, field) => {
+            return message.text && field.pattern.test(message.text) ? message.text : undefined;
+        }
+    },
+
+    photo: fileType('photo'),
+    document: fileType('document'),
+    voice: fileType('voice'),
+    video: fileType('video'),
+    audio: fileType('audio'),
+
+    location: {
+        parse: (message) => message.location,
+        keyboard: (field, locale) => [[{ text: getText('shareLocation', locale), request_location: true }]]
+    },
+
+    contact: {
+        parse: (message) => message.contact,
+        keyboard: (field, locale) => [[{ text: getText('shareContact', locale), request_contact: true }]]
+    }
+};
+
+/**
+ * Check definition of typed field
+ * @param {String} name - name of the field
+ * @param {Object} field - definition of the field
+ */
+function checkField(name, field) {
+    if (!types[field.type]) {
+        throw new Error('Unknown type of form field ' + name + ': ' + field.type);
+    }
+
+    if (field.type === 'choice' && !(field.choices && field.choices.length)) {
+        throw new Error('Choices are required for form field ' + name);
+    }
+
+    if (field.type === 'regex' && !isRegExp(field.pattern)) {
+        throw new Error('Pattern should be a regexp for form field ' + name);
+    }
+}
+
+/**
+ * Parse answer for typed field
+ * @param {Object} message - message with answer
+ * @param {Object} field - definition of the field
+ * @param {String} [locale] - locale for error message
+ * @return {Object} - parsed value or error message
+ */
+function parse(message, field, locale) {
+    let value = types[field.type].parse(message, field);
+
+    if (value === undefined || (value && value.error)) {
+        let key = value && value.error || field.type;
+        let params = {
+            min: field.min instanceof Date ? formatDate(field.min, getDateFormat(field)) : field.min,
+            max: field.max instanceof Date ? formatDate(field.max, getDateFormat(field)) : field.max,
+            format: getDateFormat(field)
+        };
+
+        return { error: field.error || getText(key, locale, params) };
+    }
+
+    return { value: value };
+}
+
+/**
+ * Get kind of inline picker of typed field
+ * @param {Object} field - definition of the field
+ * @return {String|undefined} - date, time or undefined for fields without picker
+ */
+function getPicker(field) {
+    let type = types[field.type];
+
+    return type && type.picker;
+}
+
+/**
+ * Get default keyboard for typed field
+ * @param {Object} field - definition of the field
+ * @param {String} [locale] - locale for texts of buttons
+ * @return {Array|null}
+ */
+function getKeyboard(field, locale) {
+    let type = types[field.type];
+
+    return type && type.keyboard ? type.keyboard(field, locale) : null;
+}
+
+/**
+ * Format value of typed field for review
+ * @param {*} value - value
+ * @param {Object} field - definition of the field
+ * @param {String} [locale] - locale
+ * @return {String|undefined} - undefined, if type has no own format
+ */
+function format(value, field, locale) {
+    let type = types[field.type];
+
+    return type && type.format ? type.format(value, field, locale) : undefined;
+}
+
+module.exports = {
+    messages: messages,
+    types: types,
+    getText: getText,
+    formatDate: formatDate,
+    parseDate: parseDate,
+    checkField: checkField,
+    parse: parse,
+    getPicker: getPicker,
+    getKeyboard: getKeyboard,
+    format: format
+};
@@ -0,0 +1,129 @@
+'use strict'
+
+var assign = require('lodash/assign');
+
+var counter = 0;
+
+/**
+ * Generate unique identifier for the result
+ * @return {String}
+ */
+function generateId() {
+    counter++;
+
+    return Date.now().toString(36) + counter.toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Create result of some type
+ * @param {String} type - type of the result
+ * @param {Object} params - required fields of the result
+ * @param {Object} [options] - additional fields of the result (id, reply_markup, etc.)
+ * @return {Object}
+ */
+function create(type, params, options) {
+    return assign({ type: type, id: generateId() }, params, options);
+}
+
+/**
+ * Link to an article or web page
+ * @param {String} title - title of the result
+ * @param {String} text - text of the message to be sent
+ * @param {Object} [options] - additional fields: description, url, thumb_url, parse_mode, etc.
+ * @return {Object}
+ * @see https://core.telegram.org/bots/api#inlinequeryresultarticle
+ */
+function article(title, text, options) {
+    options = assign({}, options);
+
+    let content = { message_text: text };
+
+    if (options.parse_mode) {
+        content.parse_mode = options.parse_mode;
+        delete options.parse_mode;
+    }
+
+    if (options.disable_web_page_preview) {
+        content.disable_web_page_preview = true;
+        delete options.disable_web_page_preview;
+    }
+
+    return create('article', {
+        title: title,
+        input_message_content: content
+    }, options);
+}
+
+/**
+ * Link to a photo
+ * @param {String} photoUrl - valid url of the photo, must be in jpeg format
+ * @param {String} thumbUrl - url of the thumbnail for the photo
+ * @param {Object} [options] - additional fields: title, description, caption, etc.
+ * @return {Object}
+ * @see https://core.telegram.org/bots/api#inlinequeryresultphoto
+ */
+function photo(photoUrl, thumbUrl, options) {
+    return create('photo', {
+        photo_url: photoUrl,
+        thumb_url: thumbUrl || photoUrl
+    }, options);
+}
+
+/**
+ * Location on a map
+ * @param {Float} latitude - location latitude in degrees
+ * @param {Float} longitude - location longitude in degrees
+ * @param {String} title - location title
+ * @param {Object} [options] - additional fields
+ * @return {Object}
+ * @see https://core.telegram.org/bots/api#inlinequeryresultlocation
+ */
+function location(latitude, longitude, title, options) {
+    return create('location', {
+        latitude: latitude,
+        longitude: longitude,
+        title: title
+    }, options);
+}
+
+/**
+ * Venue
+ * @param {Float} latitude - latitude of the venue location in degrees
+ * @param {Float} longitude - longitude of the venue location in degrees
+ * @param {String} title - title of the venue
+ * @param {String} address - address of the venue
+ * @param {Object} [options] - additional fields
+ * @return {Object}
+ * @see https://core.telegram.org/bots/api#inlinequeryresultvenue
+ */
+function venue(latitude, longitude, title, address, options) {
+    return create('venue', {
+        latitude: latitude,
+        longitude: longitude,
+        title: title,
+        address: address
+    }, options);
+}
+
+/**
+ * Contact with a phone number
+ * @param {String} phoneNumber - contact's phone number
+ * @param {String} firstName - contact's first name
+ * @param {Object} [options] - additional fields: last_name, thumb_url, etc.
+ * @return {Object}
+ * @see https://core.telegram.org/bots/api#inlinequeryresultcontact
+ */
+function contact(phoneNumber, firstName, options) {
+    return create('contact', {
+        phone_number: phoneNumber,
+        first_name: firstName
+    }, options);
+}
+
+module.exports = {
+    article: article,
+    photo: photo,
+    location: location,
+    venue: venue,
+    contact: contact
+};
@@ -0,0 +1,139 @@
+'use strict'
+
+var fs = require('fs');
+var path = require('path');
+var Stream = require('stream');
+var isString = require('lodash/isString');
+var isPlainObject = require('lodash/isPlainObject');
+var forEach = require('lodash/forEach');
+
+var MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.txt': 'text/plain'
+};
+
+/**
+ * Check if the value is a readable stream
+ * @param {*} value - some value
+ * @return {Boolean}
+ */
+function isStream(value) {
+    return value instanceof Stream && typeof value._read === 'function';
+}
+
+/**
+ * Check if the value is a local content which should be uploaded with multipart/form-data
+ * (buffer, stream or object with source property), strings are never read from disk, because they can come
+ * from users, local file should be passed explicitly as { source: path }
+ * @param {*} value - file_id, url, buffer, stream or { source, filename, contentType }
+ * @return {Boolean}
+ */
+function isLocalFile(value) {
+    if (isPlainObject(value) && value.source) {
+        return true;
+    }
+
+    return Buffer.isBuffer(value) || isStream(value);
+}
+
+/**
+ * Read file content to buffer
+ * @param {String|Buffer|Stream|Object} file - path, buffer, stream or { source, filename, contentType }
+ * @param {String} name - field name, used as default filename
+ * @return {Promise} - { buffer, filename, contentType }
+ */
+function readFile(file, name) {
+    let source = isPlainObject(file) ? file.source : file;
+    let filename = file.filename || (source.path && path.basename(source.path)) ||
+        (isString(source) && path.basename(source)) || name;
+    let contentType = file.contentType || MIME_TYPES[path.extname(filename).toLowerCase()] ||
+        'application/octet-stream';
+    let content;
+
+    if (Buffer.isBuffer(source)) {
+        content = Promise.resolve(source);
+    } else if (isStream(source)) {
+        content = new Promise((resolve, reject) => {
+            let chunks = [];
+
+            source.on('data', (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+            source.on('end', () => resolve(Buffer.concat(chunks)));
+            source.on('error', reject);
+        });
+    } else {
+        content = new Promise((resolve, reject) => {
+            fs.readFile(source, (err, buffer) => err ? reject(err) : resolve(buffer));
+        });
+    }
+
+    return content.then((buffer) => {
+        return {
+            buffer: buffer,
+            filename: filename,
+            contentType: contentType
+        };
+    });
+}
+
+/**
+ * Build multipart/form-data body
+ * @param {Object} fields - simple form fields
+ * @param {Object} files - files for upload by field name
+ * @return {Promise} - { body, contentType }
+ */
+function build(fields, files) {
+    let names = Object.keys(files);
+    let boundary = '----tgBotApi' + Math.random().toString(16).slice(2);
+
+    return Promise.all(names.map((name) => readFile(files[name], name))).then((contents) => {
+        let parts = [];
+
+        forEach(fields, (value, name) => {
+            if (value === undefined || value === null) {
+                return;
+            }
+
+            parts.push(Buffer.from(
+                '--' + boundary + '\r\n' +
+                'Content-Disposition: form-data; name="' + name + '"\r\n\r\n' +
+                value + '\r\n'
+            ));
+        });
+
+        contents.forEach((file, i) => {
+            parts.push(Buffer.from(
+                '--' + boundary + '\r\n' +
+                'Content-Disposition: form-data; name="' + names[i] + '"; filename="' +
+                file.filename.replace(/"/g, '') + '"\r\n' +
+                'Content-Type: ' + file.contentType + '\r\n\r\n'
+            ));
+            parts.push(file.buffer);
+            parts.push(Buffer.from('\r\n'));
+        });
+
+        parts.push(Buffer.from('--' + boundary + '--\r\n'));
+
+        return {
+            body: Buffer.concat(parts),
+            contentType: 'multipart/form-data; boundary=' + boundary
+        };
+    });
+}
+
+module.exports = {
+    isLocalFile: isLocalFile,
+    readFile: readFile,
+    build: build
+};
@@ -0,0 +1,247 @@
+'use strict'
+
+var EventEmitter = require('events');
+var assign = require('lodash/assign');
+var errors = require('./errors');
+
+/**
+ * Limits of telegram for outgoing messages
+ * @see https://core.telegram.org/bots/faq#my-bot-is-hitting-limits-how-do-i-avoid-this
+ */
+var DEFAULTS = {
+    // about 30 messages per second for all chats
+    globalLimit: 30,
+    globalInterval: 1000,
+    // about one message per second for private chat
+    privateLimit: 1,
+    privateInterval: 1000,
+    // no more than 20 messages per minute for group
+    groupLimit: 20,
+    groupInterval: 60 * 1000,
+    // how many times request is repeated after 429 Too Many Requests
+    maxRetries: 5
+};
+
+/**
+ * Sliding window of request timestamps
+ */
+class RateWindow {
+    /**
+     * @param {Number} limit - max count of requests in interval
+     * @param {Number} interval - interval in ms
+     */
+    constructor(limit, interval) {
+        this._limit = limit;
+        this._interval = interval;
+        this._times = [];
+    }
+
+    /**
+     * Get time when the next request can be sent
+     * @param {Number} now - current time
+     * @return {Number}
+     */
+    nextTime(now) {
+        while (this._times.length && this._times[0] <= now - this._interval) {
+            this._times.shift();
+        }
+
+        return this._times.length < this._limit ? now : this._times[0] + this._interval;
+    }
+
+    /**
+     * Register sent request
+     * @param {Number} now - current time
+     */
+    add(now) {
+        this._times.push(now);
+    }
+
+    /**
+     * Check if there were no requests in the interval
+     * @param {Number} now - current time
+     * @return {Boolean}
+     */
+    isEmpty(now) {
+        return this.nextTime(now) === now && !this._times.length;
+    }
+}
+
+/**
+ * Queue of outgoing requests which keeps rate limits of telegram,
+ * requests to the same chat are sent one by one in order of adding
+ * Events: drain - all requests are completed, retry - request is repeated after 429 error
+ */
+class RequestQueue extends EventEmitter {
+    /**
+     * @param {Object} [options] - limits: globalLimit, globalInterval, privateLimit, privateInterval,
+     * groupLimit, groupInterval, maxRetries
+     */
+    constructor(options) {
+        super();
+
+        this._options = assign({}, DEFAULTS, options);
+        this._global = new RateWindow(this._options.globalLimit, this._options.globalInterval);
+        this._chats = new Map();
+        this._size = 0;
+        this._timer = null;
+        this._timerTime = null;
+    }
+
+    /**
+     * Count of requests which are not completed yet
+     * @return {Number}
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Count of requests to the chat which are not completed yet
+     * @param {Number|String} chatId - unique identifier of the chat
+     * @return {Number}
+     */
+    chatSize(chatId) {
+        let chat = this._chats.get(String(chatId));
+
+        return chat ? chat.queue.length : 0;
+    }
+
+    /**
+     * Add request to the queue
+     * @param {Number|String} chatId - unique identifier of the target chat
+     * @param {Function} request - function which sends request and returns promise
+     * @return {Promise} - result of the request
+     */
+    push(chatId, request) {
+        let key = String(chatId);
+        let chat = this._chats.get(key);
+
+        if (!chat) {
+            // identifiers of groups and channels are negative, usernames of channels begin with @
+            let isPrivate = !/^[-@]/.test(key);
+
+            chat = {
+                queue: [],
+                active: false,
+                blockedUntil: 0,
+                window: isPrivate ?
+                    new RateWindow(this._options.privateLimit, this._options.privateInterval) :
+                    new RateWindow(this._options.groupLimit, this._options.groupInterval)
+            };
+
+            this._chats.set(key, chat);
+        }
+
+        this._size++;
+
+        return new Promise((resolve, reject) => {
+            chat.queue.push({ request: request, resolve: resolve, reject: reject, retries: 0 });
+            this._schedule();
+        });
+    }
+
+    /**
+     * Send all requests which can be sent now and plan the next check
+     * @private
+     */
+    _schedule() {
+        let now = Date.now();
+        let nextTime = Infinity;
+
+        this._chats.forEach((chat, key) => {
+            if (chat.active) {
+                return;
+            }
+
+            if (!chat.queue.length) {
+                // forget chats without requests, when their limits are expired
+                chat.window.isEmpty(now) && now >= chat.blockedUntil && this._chats.delete(key);
+                return;
+            }
+
+            let time = Math.max(chat.window.nextTime(now), this._global.nextTime(now), chat.blockedUntil);
+
+            if (time <= now) {
+                this._send(chat, now);
+            } else {
+                nextTime = Math.min(nextTime, time);
+            }
+        });
+
+        if (nextTime !== Infinity) {
+            this._planSchedule(nextTime - now);
+        }
+    }
+
+    /**
+     * Plan the next check of the queue
+     * @param {Number} delay - delay in ms
+     * @private
+     */
+    _planSchedule(delay) {
+        let time = Date.now() + delay;
+
+        if (this._timer && this._timerTime <= time) {
+            return;
+        }
+
+        clearTimeout(this._timer);
+
+        this._timerTime = time;
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._schedule();
+        }, delay);
+    }
+
+    /**
+     * Send the first request of the chat
+     * @param {Object} chat - chat queue
+     * @param {Number} now - current time
+     * @private
+     */
+    _send(chat, now) {
+        let item = chat.queue[0];
+
+        chat.active = true;
+        chat.window.add(now);
+        this._global.add(now);
+
+        Promise.resolve().then(() => item.request()).then((result) => {
+            this._complete(chat);
+            item.resolve(result);
+        }, (err) => {
+            if (err instanceof errors.TooManyRequestsError && item.retries < this._options.maxRetries) {
+                item.retries++;
+                chat.active = false;
+                chat.blockedUntil = Date.now() + (err.retryAfter || 1) * 1000;
+                this.emit('retry', err, item.retries);
+                this._schedule();
+                return;
+            }
+
+            this._complete(chat);
+            item.reject(err);
+        });
+    }
+
+    /**
+     * Remove completed request from the chat queue
+     * @param {Object} chat - chat queue
+     * @private
+     */
+    _complete(chat) {
+        chat.queue.shift();
+        chat.active = false;
+        this._size--;
+
+        if (!this._size) {
+            this.emit('drain');
+        }
+
+        this._schedule();
+    }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,91 @@
+'use strict'
+
+/**
+ * Scene is a group of handlers which are active only while the chat is in this scene,
+ * e.g. onboarding, checkout or settings flow
+ */
+class Scene {
+    /**
+     * @param {String} name - name of the scene
+     * @param {Object} bot - bot which registers handlers
+     */
+    constructor(name, bot) {
+        this.name = name;
+
+        this._bot = bot;
+        this._enterCallback = null;
+        this._leaveCallback = null;
+
+        // the same registry of handlers as the bot has
+        this._commands = {};
+        this._onAllText = null;
+        this._textCommands = {};
+        this._textRegexpCommands = [];
+        this._onAllCallbackQueries = null;
+        this._callbackQueriesCallbacks = {};
+        this._callbackQueriesRegexpCallbacks = [];
+    }
+
+    /**
+     * Add handler for command in the scene
+     * @param {String} command - command string like in bot.command
+     * @param {Function} cb - callback for command
+     * @param {Object} [options] - params, usage, chatType like in bot.command
+     * @return {Scene}
+     */
+    command(command, cb, options) {
+        this._bot._addCommand(this, command, cb, options);
+
+        return this;
+    }
+
+    /**
+     * Add handler for text in the scene
+     * @param {String|RegExp|Function} text - text, regexp or callback for all texts
+     * @param {Function} [cb] - callback
+     * @param {Object} [options] - chatType like in bot.text
+     * @return {Scene}
+     */
+    text(text, cb, options) {
+        this._bot._addText(this, text, cb, options);
+
+        return this;
+    }
+
+    /**
+     * Add handler for callback queries in the scene
+     * @param {String|RegExp|Function} data - callback query data, regexp or callback for all queries
+     * @param {Function} [cb] - callback
+     * @param {Object} [options] - chatType like in bot.callbackQuery
+     * @return {Scene}
+     */
+    callbackQuery(data, cb, options) {
+        this._bot._addCallbackQuery(this, data, cb, options);
+
+        return this;
+    }
+
+    /**
+     * Set handler which is executed when the chat enters the scene
+     * @param {Function} cb - callback with scope, $.scene.state contains state passed to enter
+     * @return {Scene}
+     */
+    enter(cb) {
+        this._enterCallback = cb;
+
+        return this;
+    }
+
+    /**
+     * Set handler which is executed when the chat leaves the scene
+     * @param {Function} cb - callback with scope, state of the scene is still available
+     * @return {Scene}
+     */
+    leave(cb) {
+        this._leaveCallback = cb;
+
+        return this;
+    }
+}
+
+module.exports = Scene;
@@ -0,0 +1,64 @@
+'use strict'
+
+var isFunction = require('lodash/isFunction');
+var isEmpty = require('lodash/isEmpty');
+var MemoryStore = require('./stores/memory');
+
+/**
+ * Get session key by scope
+ * @param {String|Function} key - chat, user, chat_user or function which gets scope
+ * @param {Object} scope - scope
+ * @return {String|undefined}
+ */
+function getKey(key, scope) {
+    let userId = scope.user && scope.user.id;
+
+    if (isFunction(key)) {
+        return key(scope);
+    }
+
+    if (key === 'user') {
+        return userId && String(userId);
+    }
+
+    if (key === 'chat_user') {
+        return scope.chatId && userId && scope.chatId + ':' + userId;
+    }
+
+    return scope.chatId && String(scope.chatId);
+}
+
+/**
+ * Create middleware which loads session to scope.session before update processing
+ * and saves it after all handlers are finished
+ * @param {Object} [options] - session options
+ * @param {Object} [options.store] - store with async get, set and delete methods, memory store by default
+ * @param {String|Function} [options.key] - chat, user, chat_user or function which gets scope, chat by default
+ * @return {Function}
+ */
+function session(options) {
+    options = options || {};
+
+    let store = options.store || new MemoryStore();
+
+    return (scope, next) => {
+        let key = getKey(options.key, scope);
+
+        if (!key) {
+            return next();
+        }
+
+        let load = () => store.get(key).then((data) => {
+            scope.session = data || {};
+        });
+        // session can be replaced or cleared by handlers
+        let save = () => isEmpty(scope.session) ? store.delete(key) : store.set(key, scope.session);
+
+        // handler which waits for the next message saves session before and gets changes of other updates after
+        scope.persist && scope.persist(save, load);
+
+        return load().then(() => next()).then(save);
+    };
+}
+
+module.exports = session;
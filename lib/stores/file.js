@@ -0,0 +1,101 @@
+'use strict'
+
+var fs = require('fs');
+
+/**
+ * Store which keeps values in JSON file, all values are loaded in memory on first access
+ */
+class FileStore {
+    /**
+     * @param {String} filePath - path to JSON file
+     */
+    constructor(filePath) {
+        this._filePath = filePath;
+        this._data = null;
+        this._writing = Promise.resolve();
+    }
+
+    /**
+     * Load data from file
+     * @return {Object}
+     * @private
+     */
+    _load() {
+        if (!this._data) {
+            this._data = fs.existsSync(this._filePath) ?
+                JSON.parse(fs.readFileSync(this._filePath, 'utf-8') || '{}') :
+                {};
+        }
+
+        return this._data;
+    }
+
+    /**
+     * Save data to file, writes are executed one by one
+     * @return {Promise}
+     * @private
+     */
+    _save() {
+        let write = () => new Promise((resolve, reject) => {
+            let tmpPath = this._filePath + '.tmp';
+
+            fs.writeFile(tmpPath, JSON.stringify(this._data), (err) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                fs.rename(tmpPath, this._filePath, (err) => err ? reject(err) : resolve());
+            });
+        });
+
+        this._writing = this._writing.then(write, write);
+
+        return this._writing;
+    }
+
+    /**
+     * Get value by key
+     * @param {String} key - key
+     * @return {Promise}
+     */
+    get(key) {
+        try {
+            return Promise.resolve(this._load()[key]);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * Set value by key
+     * @param {String} key - key
+     * @param {*} value - value, should be serializable to JSON
+     * @return {Promise}
+     */
+    set(key, value) {
+        try {
+            this._load()[key] = value;
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return this._save();
+    }
+
+    /**
+     * Delete value by key
+     * @param {String} key - key
+     * @return {Promise}
+     */
+    delete(key) {
+        try {
+            delete this._load()[key];
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return this._save();
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,44 @@
+'use strict'
+
+/**
+ * Store which keeps values in memory, values are lost on restart
+ */
+class MemoryStore {
+    constructor() {
+        this._data = {};
+    }
+
+    /**
+     * Get value by key
+     * @param {String} key - key
+     * @return {Promise}
+     */
+    get(key) {
+        return Promise.resolve(this._data[key]);
+    }
+
+    /**
+     * Set value by key
+     * @param {String} key - key
+     * @param {*} value - value
+     * @return {Promise}
+     */
+    set(key, value) {
+        this._data[key] = value;
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Delete value by key
+     * @param {String} key - key
+     * @return {Promise}
+     */
+    delete(key) {
+        delete this._data[key];
+
+        return Promise.resolve();
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,539 @@
+'use strict'
+
+var assign = require('lodash/assign');
+var filter = require('lodash/filter');
+var find = require('lodash/find');
+var flattenDeep = require('lodash/flattenDeep');
+var findLast = require('lodash/findLast');
+var isNumber = require('lodash/isNumber');
+var isString = require('lodash/isString');
+var isFunction = require('lodash/isFunction');
+var Readable = require('stream').Readable;
+var tg = require('../tg');
+
+var BOT_USER = {
+    id: 100000,
+    is_bot: true,
+    first_name: 'Test Bot',
+    username: 'test_bot'
+};
+
+var counters = {
+    update: 0,
+    message: 0,
+    callbackQuery: 0,
+    user: 0
+};
+
+/**
+ * Factories of telegram objects for tests
+ */
+var factories = {
+    /**
+     * Create user
+     * @param {Object|Number} [fields] - fields of the user or its identifier
+     * @return {Object}
+     */
+    user: (fields) => {
+        if (isNumber(fields)) {
+            fields = { id: fields };
+        }
+
+        counters.user++;
+
+        return assign({
+            id: 1000 + counters.user,
+            is_bot: false,
+            first_name: 'User' + counters.user,
+            language_code: 'en'
+        }, fields);
+    },
+
+    /**
+     * Create chat, private chat with the user by default
+     * @param {Object} user - user
+     * @param {Object} [fields] - fields of the chat: id, type, title
+     * @return {Object}
+     */
+    chat: (user, fields) => {
+        return assign({
+            id: user.id,
+            type: 'private',
+            first_name: user.first_name,
+            username: user.username
+        }, fields);
+    },
+
+    /**
+     * Create message
+     * @param {Object} user - sender of the message
+     * @param {Object} fields - content of the message: text, location, contact, photo, etc.
+     * @param {Object} [chat] - chat of the message, private chat with the user by default
+     * @return {Object}
+     */
+    message: (user, fields, chat) => {
+        counters.message++;
+
+        let message = assign({
+            message_id: counters.message,
+            from: user,
+            chat: chat || factories.chat(user),
+            date: Math.floor(Date.now() / 1000)
+        }, fields);
+
+        if (isString(message.text) && message.text.indexOf('/') === 0 && !message.entities) {
+            message.entities = [{ type: 'bot_command', offset: 0, length: message.text.split(/\s/)[0].length }];
+        }
+
+        return message;
+    },
+
+    /**
+     * Create callback query
+     * @param {Object} user - user who pressed the button
+     * @param {String} data - data of the button
+     * @param {Object} [message] - message with the button
+     * @return {Object}
+     */
+    callbackQuery: (user, data, message) => {
+        counters.callbackQuery++;
+
+        return {
+            id: String(counters.callbackQuery),
+            from: user,
+            message: message || factories.message(BOT_USER, { text: '' }, factories.chat(user)),
+            chat_instance: String(user.id),
+            data: data
+        };
+    },
+
+    /**
+     * Create update
+     * @param {String} type - kind of update: message, callback_query, inline_query, etc.
+     * @param {Object} data - content of the update
+     * @return {Object}
+     */
+    update: (type, data) => {
+        let update = { update_id: ++counters.update };
+
+        update[type] = data;
+
+        return update;
+    }
+};
+
+/**
+ * Parse params of api call: reply_markup, results and other json fields
+ * @param {Object} params - params of the call
+ * @return {Object}
+ */
+function parseParams(params) {
+    let parsed = assign({}, params);
+
+    ['reply_markup', 'results', 'allowed_updates'].forEach((key) => {
+        if (isString(parsed[key]) && parsed[key]) {
+            try {
+                parsed[key] = JSON.parse(parsed[key]);
+            } catch (e) {
+                // keep the value as is
+            }
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Harness for offline testing of bots: bot doesn't receive updates from telegram,
+ * harness is the transport of the bot, so api calls are recorded and fake results are returned
+ */
+class Harness {
+    /**
+     * @param {Object} [options] - bot: existing bot created with autoStart: false,
+     * or token and botOptions for a new bot
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.bot = options.bot || tg(options.token || BOT_USER.id + ':TEST', assign({}, options.botOptions, {
+            autoStart: false,
+            transport: this
+        }));
+        this.me = assign({}, BOT_USER, { username: options.username || BOT_USER.username });
+        // content of files for downloading by file_id
+        this.files = {};
+        this.calls = [];
+
+        this._responders = {};
+        this._users = new Map();
+        this._lastUser = null;
+
+        this.bot._me = this.me;
+        this.bot._transport = this;
+    }
+
+    /**
+     * Record api call and get fake result, it is called by the bot as transport
+     * @param {String} method - api method
+     * @param {Object} params - params of the call
+     * @param {Object} [files] - uploaded files
+     * @return {Promise}
+     */
+    request(method, params, files) {
+        let call = { method: method, params: parseParams(params), files: files };
+
+        this.calls.push(call);
+
+        try {
+            let responder = this._responders[method];
+
+            return Promise.resolve(responder ? responder(call.params, call) : this._fakeResult(method, call.params))
+                .then((result) => {
+                    call.result = result;
+
+                    return result;
+                });
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * Get content of file, it is called by the bot as transport
+     * @param {String} filePath - file_path from getFile
+     * @return {Promise} - readable stream with content from harness.files or empty content
+     */
+    download(filePath) {
+        let fileId = filePath.replace(/^files\//, '');
+
+        return Promise.resolve(Readable.from([Buffer.from(this.files[fileId] || '')]));
+    }
+
+    /**
+     * Get fake result of api method
+     * @param {String} method - api method
+     * @param {Object} params - parsed params of the call
+     * @return {*}
+     * @private
+     */
+    _fakeResult(method, params) {
+        if (method === 'getMe') {
+            return this.me;
+        }
+
+        if (method === 'getUpdates') {
+            return [];
+        }
+
+        if (method === 'getFile') {
+            return { file_id: params.file_id, file_size: 1024, file_path: 'files/' + params.file_id };
+        }
+
+        if (/^(send|forward|edit)/.test(method) && params.chat_id !== undefined) {
+            let chat = { id: params.chat_id, type: String(params.chat_id).indexOf('-') === 0 ? 'group' : 'private' };
+            let fields = assign({}, params);
+
+            delete fields.chat_id;
+
+            return factories.message(this.me, assign(fields, params.message_id ? {
+                message_id: params.message_id
+            } : {}), chat);
+        }
+
+        return true;
+    }
+
+    /**
+     * Set custom result for api method
+     * @param {String} method - api method
+     * @param {Function|*} result - result or function with params and call, it can throw api errors
+     */
+    respond(method, result) {
+        this._responders[method] = isFunction(result) ? result : () => result;
+    }
+
+    /**
+     * Clear recorded calls
+     */
+    reset() {
+        this.calls = [];
+    }
+
+    /**
+     * Get recorded calls of api method
+     * @param {String} method - api method
+     * @return {Object[]}
+     */
+    callsOf(method) {
+        return filter(this.calls, { method: method });
+    }
+
+    /**
+     * Get the last recorded call, optionally of api method
+     * @param {String} [method] - api method
+     * @return {Object|undefined}
+     */
+    lastCall(method) {
+        return method ? findLast(this.calls, { method: method }) : this.calls[this.calls.length - 1];
+    }
+
+    /**
+     * Get params of messages sent to the chat
+     * @param {Object|Number} [user] - user or chat identifier, all sent messages by default
+     * @return {Object[]}
+     */
+    sentMessages(user) {
+        let chatId = user && (isNumber(user) ? user : user.id);
+
+        return this.calls.filter((call) => {
+            return /^send/.test(call.method) && (chatId === undefined || call.params.chat_id === chatId);
+        }).map((call) => call.params);
+    }
+
+    /**
+     * Create user for tests
+     * @param {Object} [fields] - fields of the user
+     * @return {Object}
+     */
+    createUser(fields) {
+        return factories.user(fields);
+    }
+
+    /**
+     * Process update and wait until the bot is idle or waits for the next message
+     * @param {Object} update - update from telegram
+     * @return {Promise}
+     */
+    sendUpdate(update) {
+        this.bot._handleUpdate(update);
+
+        return this._waitForIdle();
+    }
+
+    /**
+     * Send text message or command from the user
+     * @param {Object|Number} user - user or its identifier
+     * @param {String} text - text of the message
+     * @param {Object} [options] - chat and other fields of the message
+     * @return {Promise}
+     */
+    sendText(user, text, options) {
+        return this.sendMessage(user, assign({ text: text }, options));
+    }
+
+    /**
+     * Send location from the user
+     * @param {Object|Number} user - user or its identifier
+     * @param {Float} latitude - latitude
+     * @param {Float} longitude - longitude
+     * @param {Object} [options] - chat and other fields of the message
+     * @return {Promise}
+     */
+    sendLocation(user, latitude, longitude, options) {
+        return this.sendMessage(user, assign({ location: { latitude: latitude, longitude: longitude } }, options));
+    }
+
+    /**
+     * Send contact from the user
+     * @param {Object|Number} user - user or its identifier
+     * @param {String} phoneNumber - phone number
+     * @param {String} [firstName] - first name of the contact, the first name of the user by default
+     * @param {Object} [options] - chat and other fields of the message
+     * @return {Promise}
+     */
+    sendContact(user, phoneNumber, firstName, options) {
+        user = this._getUser(user);
+
+        return this.sendMessage(user, assign({
+            contact: { phone_number: phoneNumber, first_name: firstName || user.first_name, user_id: user.id }
+        }, options));
+    }
+
+    /**
+     * Send message with any content from the user
+     * @param {Object|Number} user - user or its identifier
+     * @param {Object} fields - fields of the message, chat can be specified for groups
+     * @return {Promise}
+     */
+    sendMessage(user, fields) {
+        user = this._getUser(user);
+        fields = assign({}, fields);
+        this._lastUser = user;
+
+        let chat = fields.chat;
+
+        delete fields.chat;
+
+        return this.sendUpdate(factories.update('message', factories.message(user, fields, chat)));
+    }
+
+    /**
+     * Press inline keyboard button
+     * @param {Object|Number} [user] - user or its identifier, the user of the last message by default
+     * @param {String} data - callback data of the button
+     * @param {Object} [message] - message with the button, the last message sent to the user by default
+     * @return {Promise}
+     */
+    clickButton(user, data, message) {
+        if (isString(user)) {
+            message = data;
+            data = user;
+            user = this._lastUser;
+        }
+
+        if (!user) {
+            return Promise.reject(new Error('User is not specified'));
+        }
+
+        user = this._getUser(user);
+        this._lastUser = user;
+
+        if (!message) {
+            let call = findLast(this.calls, (item) => /^send/.test(item.method) && item.params.chat_id === user.id);
+
+            message = call && (call.result && call.result.message_id ? call.result :
+                factories.message(this.me, call.params, factories.chat(user)));
+        }
+
+        return this.sendUpdate(factories.update('callback_query', factories.callbackQuery(user, data, message)));
+    }
+
+    /**
+     * Press inline keyboard button by its text in the last message with inline keyboard sent to the user
+     * @param {Object|Number} user - user or its identifier
+     * @param {String|RegExp} text - text of the button
+     * @return {Promise}
+     */
+    clickInlineButton(user, text) {
+        user = this._getUser(user);
+
+        let button;
+        let call = findLast(this.calls, (item) => {
+            let markup = item.params.reply_markup;
+
+            if (item.params.chat_id !== user.id || !markup || !markup.inline_keyboard) {
+                return false;
+            }
+
+            button = find(flattenDeep(markup.inline_keyboard), (item) => {
+                return isString(text) ? item.text === text : text.test(item.text);
+            });
+
+            return true;
+        });
+
+        if (!button) {
+            return Promise.reject(new Error('Inline button "' + text + '" is not found in the last inline keyboard'));
+        }
+
+        let message = call.result && call.result.message_id ? call.result :
+            factories.message(this.me, call.params, factories.chat(user));
+
+        return this.clickButton(user, button.callback_data, message);
+    }
+
+    /**
+     * Answer questions of form, menu or ask one by one
+     * @param {Object|Number} user - user or its identifier
+     * @param {Array} answers - texts or message fields ({ location }, { contact }, etc.)
+     * @return {Promise}
+     */
+    answer(user, answers) {
+        return answers.reduce((promise, answer) => {
+            return promise.then(() => isString(answer) ? this.sendText(user, answer) : this.sendMessage(user, answer));
+        }, Promise.resolve());
+    }
+
+    /**
+     * Press button of the reply keyboard from the last question of form, menu or ask,
+     * buttons with request_location or request_contact send location or contact of the user
+     * @param {Object|Number} user - user or its identifier
+     * @param {String} text - text of the button
+     * @param {Object} [value] - location or contact for request buttons
+     * @return {Promise}
+     */
+    chooseButton(user, text, value) {
+        user = this._getUser(user);
+
+        let question = this.lastQuestion(user);
+        let button = question && find(flattenDeep(question.keyboard || []), (item) => {
+            return item === text || item.text === text;
+        });
+
+        if (!button) {
+            return Promise.reject(new Error('Button "' + text + '" is not found in the last keyboard'));
+        }
+
+        if (button.request_location) {
+            return this.sendMessage(user, { location: value || { latitude: 0, longitude: 0 } });
+        }
+
+        if (button.request_contact) {
+            return this.sendMessage(user, {
+                contact: value || { phone_number: '+10000000000', first_name: user.first_name, user_id: user.id }
+            });
+        }
+
+        return this.sendText(user, text);
+    }
+
+    /**
+     * Get the last question of form, menu or ask sent to the user: text and keyboard
+     * @param {Object|Number} user - user or its identifier
+     * @return {Object|undefined}
+     */
+    lastQuestion(user) {
+        let params = findLast(this.sentMessages(user));
+
+        return params && {
+            text: params.text,
+            keyboard: params.reply_markup && (params.reply_markup.keyboard || params.reply_markup.inline_keyboard)
+        };
+    }
+
+    /**
+     * Get user by identifier, the same user object is returned for the same identifier
+     * @param {Object|Number} user - user or its identifier
+     * @return {Object}
+     * @private
+     */
+    _getUser(user) {
+        if (!isNumber(user)) {
+            return user;
+        }
+
+        if (!this._users.has(user)) {
+            this._users.set(user, factories.user(user));
+        }
+
+        return this._users.get(user);
+    }
+
+    /**
+     * Wait until all updates are processed or their handlers wait for the next messages
+     * @return {Promise}
+     * @private
+     */
+    _waitForIdle() {
+        return new Promise((resolve) => {
+            let check = () => {
+                let dispatcher = this.bot.dispatcher;
+                let queue = this.bot.queue;
+
+                if (!dispatcher.running && !dispatcher.size && (!queue || !queue.size)) {
+                    return resolve();
+                }
+
+                setTimeout(check, 1);
+            };
+
+            setImmediate(check);
+        });
+    }
+}
+
+module.exports = {
+    Harness: Harness,
+    factories: factories,
+    createHarness: (options) => new Harness(options)
+};
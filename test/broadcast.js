@@ -0,0 +1,100 @@
+'use strict'
+
+var assert = require('assert');
+var errors = require('../lib/errors');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('broadcast', () => {
+    let h;
+
+    beforeEach(() => {
+        h = createHarness();
+        h.respond('sendMessage', (params) => {
+            if (params.chat_id === 2) {
+                throw errors.createApiError({ error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+            }
+
+            if (params.chat_id === 3) {
+                throw errors.createApiError({ error_code: 400, description: 'Bad Request: chat not found' });
+            }
+
+            if (params.chat_id === 4) {
+                throw errors.createApiError({ error_code: 400, description: 'Bad Request: message is too long' });
+            }
+
+            return { message_id: 1, chat: { id: params.chat_id } };
+        });
+    });
+
+    it('sends message to chats and reports delivered, blocked, deactivated and failed chats', () => {
+        let progress = [];
+        let broadcast = h.bot.broadcast([1, 2, 3, 4, 1], 'News', { rate: 1000 });
+
+        broadcast.on('progress', (value) => progress.push(value.done));
+
+        return broadcast.then((summary) => {
+            assert.strictEqual(summary.total, 4);
+            assert.deepStrictEqual(summary.delivered, [1]);
+            assert.deepStrictEqual(summary.blocked, [2]);
+            assert.deepStrictEqual(summary.deactivated, [3]);
+            assert.deepStrictEqual(summary.failed.map((item) => item.chatId), [4]);
+            assert.deepStrictEqual(progress.sort(), [1, 2, 3, 4]);
+            assert.deepStrictEqual(h.sentMessages().map((message) => message.text), ['News', 'News', 'News', 'News']);
+        });
+    });
+
+    it('sends message with any send method', () => {
+        let broadcast = h.bot.broadcast([1, 5], {
+            method: 'sendLocation',
+            args: [1.5, 2.5, { disable_notification: true }]
+        });
+
+        return broadcast.then((summary) => {
+            let calls = h.callsOf('sendLocation');
+
+            assert.deepStrictEqual(summary.delivered, [1, 5]);
+            assert.strictEqual(calls.length, 2);
+            assert.strictEqual(calls[1].params.latitude, 1.5);
+            assert.strictEqual(calls[1].params.disable_notification, true);
+        });
+    });
+
+    it('resends message after temporary error', () => {
+        let attempts = 0;
+        let broadcast = h.bot.broadcast([1], () => {
+            if (!attempts++) {
+                return Promise.reject(new errors.NetworkError(new Error('ECONNRESET')));
+            }
+
+            return Promise.resolve();
+        }, { retryDelay: 5 });
+
+        return broadcast.then((summary) => {
+            assert.strictEqual(attempts, 2);
+            assert.deepStrictEqual(summary.delivered, [1]);
+        });
+    });
+
+    it('is paused and continued from saved state', () => {
+        let broadcast = h.bot.broadcast([1, 5, 6], 'News', { rate: 1000, concurrency: 1 });
+        let state;
+
+        broadcast.once('delivered', () => {
+            broadcast.pause();
+            state = broadcast.state();
+        });
+
+        return new Promise((resolve) => broadcast.once('paused', resolve)).then(() => {
+            return new Promise((resolve) => setTimeout(resolve, 10));
+        }).then(() => {
+            assert.deepStrictEqual(state.summary.delivered, [1]);
+            assert.deepStrictEqual(state.pending, [5, 6]);
+            assert.strictEqual(h.sentMessages().length, 1);
+
+            return h.bot.broadcast([], 'News', { state: JSON.parse(JSON.stringify(state)) });
+        }).then((summary) => {
+            assert.strictEqual(summary.total, 3);
+            assert.deepStrictEqual(summary.delivered, [1, 5, 6]);
+        });
+    });
+});
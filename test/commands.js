@@ -0,0 +1,65 @@
+'use strict'
+
+var assert = require('assert');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('commands', () => {
+    let h;
+    let errors;
+
+    beforeEach(() => {
+        h = createHarness({ botOptions: { mentionOnly: true } });
+        errors = [];
+        h.bot.catch((err) => errors.push(err));
+    });
+
+    it('executes handler of command with params', () => {
+        h.bot.command('add <a:int> <b:int>', ($) => $.sendMessage(String($.params.a + $.params.b)));
+
+        return h.sendText(1, '/add 2 3').then(() => {
+            assert.strictEqual(h.lastQuestion(1).text, '5');
+        });
+    });
+
+    it('ignores message with a bare slash', () => {
+        h.bot.command('start', ($) => $.sendMessage('hi'));
+
+        return h.answer(1, ['/', '/  ']).then(() => {
+            assert.deepStrictEqual(h.sentMessages(1), []);
+            assert.deepStrictEqual(errors, []);
+        });
+    });
+
+    describe('groups', () => {
+        let group = { id: -100, type: 'group', title: 'Group' };
+        let texts;
+
+        beforeEach(() => {
+            texts = [];
+            h.bot.command('start', ($) => texts.push('start'));
+            h.bot.text(($) => texts.push($.message.text));
+        });
+
+        it('executes only commands addressed to the bot', () => {
+            return h.sendText(1, '/start@other_bot', { chat: group }).then(() => {
+                return h.sendText(1, '/start@Test_Bot', { chat: group });
+            }).then(() => {
+                assert.deepStrictEqual(texts, ['start']);
+            });
+        });
+
+        it('executes text handlers only for exact mentions of the bot', () => {
+            let mention = (text, offset, length) => {
+                let entities = [{ type: 'mention', offset: offset, length: length }];
+
+                return h.sendText(1, text, { chat: group, entities: entities });
+            };
+
+            return h.sendText(1, 'hello', { chat: group }).then(() => mention('hey @test_bot_fan', 4, 13)).then(() => {
+                return mention('hey @Test_Bot', 4, 9);
+            }).then(() => {
+                assert.deepStrictEqual(texts, ['hey @Test_Bot']);
+            });
+        });
+    });
+});
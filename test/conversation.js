@@ -0,0 +1,200 @@
+'use strict'
+
+var assert = require('assert');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('conversation', () => {
+    let h;
+    let errors;
+
+    beforeEach(() => {
+        h = createHarness();
+        errors = [];
+        h.bot.catch((err) => errors.push(err));
+    });
+
+    describe('ask', () => {
+        it('resolves with the answer and asks again after invalid answer', () => {
+            let name;
+
+            h.bot.command('name', ($) => $.ask('Name?', {
+                validate: (message) => message.text.length > 1,
+                error: 'Too short'
+            }).then((answer) => name = answer.message.text));
+
+            return h.answer(1, ['/name', 'A', 'Ann']).then(() => {
+                let texts = h.sentMessages(1).map((message) => message.text);
+
+                assert.deepStrictEqual(texts, ['Name?', 'Too short', 'Name?']);
+                assert.strictEqual(name, 'Ann');
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+
+        it('removes waiting when the question is not sent', () => {
+            h.bot.command('ask', ($) => $.ask('Name?'));
+            h.respond('sendMessage', () => {
+                throw new Error('Forbidden: bot was blocked by the user');
+            });
+
+            return h.sendText(1, '/ask').then(() => {
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+                assert.strictEqual(errors.length, 1);
+            });
+        });
+
+        it('is rejected when the chat goes to another command', () => {
+            let reason;
+
+            h.bot.command('name', ($) => $.ask('Name?').catch((err) => reason = err.reason));
+            h.bot.command('menu', ($) => $.sendMessage('Menu'));
+            h.bot.callbackQuery('menu', ($) => $.goTo('/menu'));
+
+            return h.sendText(1, '/name').then(() => h.clickButton(1, 'menu')).then(() => {
+                assert.strictEqual(reason, 'goTo');
+                assert.strictEqual(h.lastQuestion(1).text, 'Menu');
+                assert.strictEqual(h.bot._processing.size, 0);
+            });
+        });
+
+        it('is rejected when another conversation starts in the chat', () => {
+            let reasons = [];
+            let name;
+
+            h.bot.command('name', ($) => $.ask('Name?').then((answer) => name = answer.message.text, (err) => {
+                reasons.push(err.reason);
+            }));
+
+            return h.answer(1, ['/name', '/name', 'Ann']).then(() => {
+                assert.deepStrictEqual(reasons, ['replaced']);
+                assert.strictEqual(name, 'Ann');
+                assert.strictEqual(h.bot._processing.size, 0);
+            });
+        });
+    });
+
+    describe('menu', () => {
+        let chosen;
+        let reason;
+
+        beforeEach(() => {
+            chosen = null;
+            reason = null;
+
+            h.bot.command('menu', ($) => $.sendMenu({
+                message: 'Choose:',
+                keyboard: [[{ text: 'Yes', callback: (text) => chosen = text }, { text: 'No' }]]
+            }).catch((err) => reason = err.reason));
+        });
+
+        it('executes callback of the button and waits again after unknown answer', () => {
+            return h.answer(1, ['/menu', 'Maybe']).then(() => {
+                assert.strictEqual(h.bot.getPendingWait(1).type, 'menu');
+                assert.deepStrictEqual(errors, []);
+
+                return h.chooseButton(1, 'Yes');
+            }).then(() => {
+                assert.strictEqual(chosen, 'Yes');
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+
+        it('is cancelled when the menu is not sent', () => {
+            h.respond('sendMessage', () => {
+                throw new Error('Forbidden: bot was blocked by the user');
+            });
+
+            return h.sendText(1, '/menu').then(() => {
+                assert.strictEqual(reason, 'error');
+                assert.strictEqual(errors.length, 1);
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+    });
+
+    describe('waitForMessage', () => {
+        it('resolves with scope of the next message', () => {
+            let text;
+
+            h.bot.command('wait', ($) => $.waitForMessage().then((answer) => text = answer.message.text));
+
+            return h.sendText(1, '/wait').then(() => {
+                assert.strictEqual(h.bot.getPendingWait(1).type, 'message');
+
+                return h.sendText(1, 'hello');
+            }).then(() => {
+                assert.strictEqual(text, 'hello');
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+    });
+
+    describe('timeouts and cancellation', () => {
+        it('sends timeout message and cancels waiting', () => {
+            let reason;
+
+            h.bot.command('wait', ($) => $.waitForMessage({ timeout: 20, onTimeout: 'Too late' })
+                .catch((err) => reason = err.reason));
+
+            return h.sendText(1, '/wait').then(() => {
+                assert.strictEqual(h.bot.getPendingWait(1).type, 'message');
+
+                return new Promise((resolve) => setTimeout(resolve, 50));
+            }).then(() => {
+                assert.strictEqual(reason, 'timeout');
+                assert.strictEqual(h.lastQuestion(1).text, 'Too late');
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+
+        it('cancels menu by global timeout', () => {
+            let reason;
+
+            h = createHarness({ botOptions: { waitTimeout: 20 } });
+            h.bot.command('menu', ($) => $.sendMenu({
+                message: 'Choose:',
+                keyboard: [[{ text: 'Yes' }]]
+            }).catch((err) => reason = err.reason));
+
+            return h.sendText(1, '/menu').then(() => {
+                assert.strictEqual(h.bot.getPendingWait(1).timeout, 20);
+
+                return new Promise((resolve) => setTimeout(resolve, 50));
+            }).then(() => {
+                assert.strictEqual(reason, 'timeout');
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+
+        it('cancels form with cancel command', () => {
+            let reason;
+
+            h = createHarness({ botOptions: { cancelCommand: '/cancel', cancelMessage: 'Cancelled' } });
+            h.bot.command('form', ($) => $.sendForm({
+                fields: { name: { q: 'Name?' }, city: { q: 'City?' } }
+            }).catch((err) => reason = err.reason));
+
+            return h.answer(1, ['/form', 'Ann', '/cancel']).then(() => {
+                assert.strictEqual(reason, 'cancel');
+                assert.strictEqual(h.lastQuestion(1).text, 'Cancelled');
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+
+        it('cancels pending wait from outside the handler', () => {
+            let reason;
+
+            h.bot.command('ask', ($) => $.ask('Name?').catch((err) => reason = err.reason));
+
+            return h.sendText(1, '/ask').then(() => {
+                assert.strictEqual(h.bot.getPendingWait(1).type, 'ask');
+                assert.strictEqual(h.bot.cancelWait(1, 'admin'), true);
+                assert.strictEqual(h.bot.cancelWait(1), false);
+
+                return h._waitForIdle();
+            }).then(() => {
+                assert.strictEqual(reason, 'admin');
+            });
+        });
+    });
+});
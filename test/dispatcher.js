@@ -0,0 +1,108 @@
+'use strict'
+
+var assert = require('assert');
+var Dispatcher = require('../lib/dispatcher');
+var createHarness = require('../lib/testing').createHarness;
+
+/**
+ * Store which keeps copies of values like a database
+ */
+class JsonStore {
+    constructor() {
+        this.data = {};
+    }
+
+    get(key) {
+        return delay(2).then(() => this.data[key] && JSON.parse(this.data[key]));
+    }
+
+    set(key, value) {
+        return delay(2).then(() => this.data[key] = JSON.stringify(value));
+    }
+
+    delete(key) {
+        delete this.data[key];
+
+        return Promise.resolve();
+    }
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('dispatcher', () => {
+    it('executes tasks of the same key one by one and tasks of different keys concurrently', () => {
+        let dispatcher = new Dispatcher({ concurrency: 2 });
+        let log = [];
+        let task = (name, ms) => () => {
+            log.push('start ' + name);
+
+            return delay(ms).then(() => log.push('end ' + name));
+        };
+
+        return Promise.all([
+            dispatcher.push(1, task('a1', 10)),
+            dispatcher.push(1, task('a2', 1)),
+            dispatcher.push(2, task('b1', 1))
+        ]).then(() => {
+            assert.deepStrictEqual(log, ['start a1', 'start b1', 'end b1', 'end a1', 'start a2', 'end a2']);
+        });
+    });
+
+    it('starts the next task of the key after release', () => {
+        let dispatcher = new Dispatcher();
+        let log = [];
+        let finish;
+
+        dispatcher.push(1, () => new Promise((resolve) => finish = resolve).then(() => log.push('a')));
+
+        return delay(1).then(() => {
+            dispatcher.release(1);
+
+            return dispatcher.push(1, () => log.push('b'));
+        }).then(() => {
+            finish();
+
+            return delay(1);
+        }).then(() => {
+            assert.deepStrictEqual(log, ['b', 'a']);
+        });
+    });
+
+    describe('bot', () => {
+        it('processes updates of the same chat in order and updates of other chats concurrently', () => {
+            let h = createHarness();
+            let log = [];
+
+            h.bot.text('slow', ($) => delay(10).then(() => log.push($.user.id + ' slow')));
+            h.bot.text('fast', ($) => log.push($.user.id + ' fast'));
+
+            return Promise.all([h.sendText(1, 'slow'), h.sendText(1, 'fast'), h.sendText(2, 'fast')]).then(() => {
+                assert.deepStrictEqual(log, ['2 fast', '1 slow', '1 fast']);
+            });
+        });
+
+        it('keeps changes of session from updates which were processed while handler waited', () => {
+            let store = new JsonStore();
+            let h = createHarness({ botOptions: { session: { store: store } } });
+
+            h.bot.use(($, next) => {
+                $.message && !/^\//.test($.message.text) && ($.session.lastText = $.message.text);
+
+                return next();
+            });
+            h.bot.command('a', ($) => {
+                $.session.started = true;
+
+                return $.ask('Name?').then((answer) => {
+                    $.session.name = answer.message.text;
+                });
+            });
+
+            return h.answer(1, ['/a', 'Bob']).then(() => delay(20)).then(() => {
+                assert.deepStrictEqual(JSON.parse(store.data[1]), { started: true, lastText: 'Bob', name: 'Bob' });
+            });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+'use strict'
+
+var assert = require('assert');
+var errors = require('../lib/errors');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('errors', () => {
+    it('creates api error of specific class by response', () => {
+        let blocked = errors.createApiError({ error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+        let limit = errors.createApiError({ error_code: 429, description: 'Too Many Requests',
+            parameters: { retry_after: 5 } });
+
+        assert.ok(blocked instanceof errors.BotBlockedError);
+        assert.ok(blocked instanceof errors.TelegramError);
+        assert.strictEqual(blocked.code, 403);
+        assert.ok(limit instanceof errors.TooManyRequestsError);
+        assert.strictEqual(limit.retryAfter, 5);
+    });
+
+    describe('catch', () => {
+        let h;
+        let caught;
+
+        beforeEach(() => {
+            h = createHarness();
+            caught = [];
+            h.bot.catch((err, $) => caught.push({ err: err, chatId: $ && $.chatId }));
+            h.respond('sendMessage', (params) => {
+                if (params.text === 'fail') {
+                    throw errors.createApiError({ error_code: 400, description: 'Bad Request: chat not found' });
+                }
+
+                return { message_id: 1 };
+            });
+        });
+
+        it('receives errors thrown by handlers', () => {
+            h.bot.command('throw', () => {
+                throw new Error('oops');
+            });
+
+            return h.sendText(1, '/throw').then(() => {
+                assert.strictEqual(caught.length, 1);
+                assert.strictEqual(caught[0].err.message, 'oops');
+                assert.strictEqual(caught[0].chatId, 1);
+            });
+        });
+
+        it('receives errors of api calls which are not awaited by handlers', () => {
+            h.bot.command('send', ($) => {
+                $.sendMessage('fail');
+            });
+
+            return h.sendText(1, '/send').then(() => new Promise((resolve) => setImmediate(resolve))).then(() => {
+                assert.strictEqual(caught.length, 1);
+                assert.ok(caught[0].err instanceof errors.ChatNotFoundError);
+            });
+        });
+
+        it('receives error of api call once when it rejects the handler', () => {
+            h.bot.command('send', ($) => $.sendMessage('fail'));
+
+            return h.sendText(1, '/send').then(() => {
+                assert.strictEqual(caught.length, 1);
+                assert.ok(caught[0].err instanceof errors.ChatNotFoundError);
+            });
+        });
+
+        it('does not receive errors which are handled by handlers', () => {
+            let handled;
+
+            h.bot.command('send', ($) => $.sendMessage('fail').catch((err) => {
+                handled = err;
+
+                return $.sendMessage('Chat is not available');
+            }));
+
+            return h.sendText(1, '/send').then(() => {
+                assert.ok(handled instanceof errors.ChatNotFoundError);
+                assert.deepStrictEqual(caught, []);
+            });
+        });
+    });
+});
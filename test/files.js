@@ -0,0 +1,94 @@
+'use strict'
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('files', () => {
+    let h;
+
+    beforeEach(() => {
+        h = createHarness();
+    });
+
+    it('sends file_id and url as params', () => {
+        return h.bot.sendPhoto(1, 'AgADBAADq6cxG').then(() => h.bot.sendDocument(1, 'https://example.com/a.pdf'))
+            .then(() => {
+                let calls = h.calls;
+
+                assert.strictEqual(calls[0].params.photo, 'AgADBAADq6cxG');
+                assert.strictEqual(calls[0].files, undefined);
+                assert.strictEqual(calls[1].params.document, 'https://example.com/a.pdf');
+                assert.strictEqual(calls[1].files, undefined);
+            });
+    });
+
+    it('never reads string as local file', () => {
+        return h.bot.sendDocument(1, '/etc/passwd').then(() => {
+            assert.strictEqual(h.lastCall('sendDocument').params.document, '/etc/passwd');
+            assert.strictEqual(h.lastCall('sendDocument').files, undefined);
+        });
+    });
+
+    it('uploads buffer and local file given as { source: path }', () => {
+        let buffer = Buffer.from('content');
+
+        return h.bot.sendVoice(1, buffer, { caption: 'hi' }).then(() => {
+            return h.bot.sendPhoto(1, { source: __filename });
+        }).then(() => {
+            let voice = h.lastCall('sendVoice');
+
+            assert.strictEqual(voice.files.voice, buffer);
+            assert.strictEqual(voice.params.caption, 'hi');
+            assert.deepStrictEqual(h.lastCall('sendPhoto').files.photo, { source: __filename });
+        });
+    });
+
+    describe('downloads', () => {
+        beforeEach(() => {
+            h.files.photo1 = 'content of photo';
+        });
+
+        it('gets link to the file', () => {
+            return h.bot.getFileLink('photo1').then((link) => {
+                assert.strictEqual(link, 'https://api.telegram.org/file/bot100000:TEST/files/photo1');
+            });
+        });
+
+        it('gets stream of file content', () => {
+            return h.bot.getFileStream('photo1').then((stream) => new Promise((resolve) => {
+                let data = '';
+
+                stream.on('data', (chunk) => data += chunk);
+                stream.on('end', () => resolve(data));
+            })).then((data) => {
+                assert.strictEqual(data, 'content of photo');
+            });
+        });
+
+        it('downloads file to directory', () => {
+            let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tg-'));
+
+            h.files['photo1.jpg'] = 'content of photo';
+            h.respond('getFile', { file_id: 'photo1', file_size: 16, file_path: 'files/photo1.jpg' });
+
+            return h.bot.downloadFile('photo1', dir).then((filePath) => {
+                assert.strictEqual(filePath, path.join(dir, 'photo1.jpg'));
+                assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), 'content of photo');
+                fs.unlinkSync(filePath);
+                fs.rmdirSync(dir);
+            });
+        });
+
+        it('rejects when the file is too big', () => {
+            h.respond('getFile', { file_id: 'video1', file_size: 50 * 1024 * 1024, file_path: 'files/video1' });
+
+            return h.bot.getFileStream('video1').then(() => assert.fail('download should fail'), (err) => {
+                assert.ok(/File is too big/.test(err.message));
+                assert.strictEqual(h.callsOf('getFile').length, 1);
+            });
+        });
+    });
+});
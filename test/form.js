@@ -0,0 +1,155 @@
+'use strict'
+
+var assert = require('assert');
+var assign = require('lodash/assign');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('form', () => {
+    let h;
+    let errors;
+
+    beforeEach(() => {
+        h = createHarness();
+        errors = [];
+        h.bot.catch((err) => errors.push(err));
+    });
+
+    describe('navigation', () => {
+        let result;
+        let reason;
+
+        beforeEach(() => {
+            result = null;
+            reason = null;
+
+            h.bot.command('form', ($) => $.sendForm({
+                back: true,
+                review: true,
+                fields: {
+                    name: { q: 'Name?' },
+                    age: { q: 'Age?', type: 'number', min: 1, optional: true },
+                    city: { q: 'City?', label: 'City' }
+                }
+            }).then((res) => result = res, (err) => reason = err.reason));
+        });
+
+        it('goes back, skips optional field and confirms answers on review', () => {
+            return h.answer(1, ['/form', 'Ann', 'Back', 'Bob']).then(() => {
+                assert.strictEqual(h.lastQuestion(1).text, 'Age?');
+
+                return h.chooseButton(1, 'Skip');
+            }).then(() => h.sendText(1, 'Paris')).then(() => {
+                assert.strictEqual(h.lastQuestion(1).text,
+                    'Please check your answers:\n\nname: Bob\nage: —\nCity: Paris');
+
+                return h.clickInlineButton(1, 'Edit City');
+            }).then(() => h.sendText(1, 'Rome')).then(() => h.clickInlineButton(1, 'Confirm')).then(() => {
+                assert.deepStrictEqual(result, { name: 'Bob', city: 'Rome' });
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+
+        it('repeats question after invalid typed answer', () => {
+            return h.answer(1, ['/form', 'Ann', '0']).then(() => {
+                let texts = h.sentMessages(1).map((message) => message.text);
+
+                assert.deepStrictEqual(texts.slice(-2), ['The number should not be less than 1', 'Age?']);
+            });
+        });
+
+        it('is cancelled when the review is not sent', () => {
+            return h.answer(1, ['/form', 'Ann', 'Skip']).then(() => {
+                h.respond('sendMessage', () => {
+                    throw new Error('Forbidden: bot was blocked by the user');
+                });
+
+                return h.sendText(1, 'Paris');
+            }).then(() => {
+                assert.strictEqual(reason, 'error');
+                assert.strictEqual(errors.length, 1);
+                assert.strictEqual(h.bot.getPendingWait(1), null);
+            });
+        });
+    });
+
+    describe('typed fields', () => {
+        let result;
+
+        function form(fields, options) {
+            result = null;
+            h.bot.command('form', ($) => $.sendForm(assign({ fields: fields }, options))
+                .then((res) => result = res));
+        }
+
+        it('parses answers into typed values', () => {
+            form({
+                email: { q: 'Email?', type: 'email' },
+                phone: { q: 'Phone?', type: 'phone' },
+                birthday: { q: 'Birthday?', type: 'date', format: 'DD.MM.YYYY' },
+                size: { q: 'Size?', type: 'choice', choices: [{ text: 'Small', value: 's' }, 'Large'] },
+                avatar: { q: 'Photo?', type: 'photo' }
+            });
+
+            return h.answer(1, [
+                '/form',
+                ' Ann@Example.com ',
+                { contact: { phone_number: '79991234567', first_name: 'Ann' } },
+                '20.11.1990'
+            ]).then(() => {
+                assert.deepStrictEqual(h.lastQuestion(1).keyboard, [['Small'], ['Large']]);
+
+                return h.answer(1, ['Small', { photo: [{ file_id: 'small' }, { file_id: 'big' }] }]);
+            }).then(() => {
+                assert.deepStrictEqual(result, {
+                    email: 'ann@example.com',
+                    phone: '+79991234567',
+                    birthday: new Date(1990, 10, 20),
+                    size: 's',
+                    avatar: { file_id: 'big' }
+                });
+            });
+        });
+
+        it('repeats question with localized error after invalid answer', () => {
+            form({ url: { q: 'Site?', type: 'url' } }, { locale: 'ru' });
+
+            return h.answer(1, ['/form', 'not a link', 'example.com']).then(() => {
+                let texts = h.sentMessages(1).map((message) => message.text);
+
+                assert.deepStrictEqual(texts, ['Site?', 'Пожалуйста, введите корректную ссылку', 'Site?']);
+                assert.deepStrictEqual(result, { url: 'http://example.com/' });
+            });
+        });
+
+        it('offers keyboard to share location and keeps custom validator', () => {
+            form({
+                place: { q: 'Where?', type: 'location' },
+                age: { q: 'Age?', type: 'number', integer: true, error: 'Adults only',
+                    validator: (message, keyboard, value) => value >= 18 }
+            });
+
+            return h.sendText(1, '/form').then(() => {
+                assert.strictEqual(h.lastQuestion(1).keyboard[0][0].request_location, true);
+
+                return h.answer(1, [{ location: { latitude: 1, longitude: 2 } }, '16', '30']);
+            }).then(() => {
+                let texts = h.sentMessages(1).map((message) => message.text);
+
+                assert.deepStrictEqual(texts.slice(-3), ['Age?', 'Adults only', 'Age?']);
+                assert.deepStrictEqual(result, { place: { latitude: 1, longitude: 2 }, age: 30 });
+            });
+        });
+
+        it('is rejected when type of field is unknown', () => {
+            let error;
+
+            h.bot.command('form', ($) => $.sendForm({ fields: { a: { q: 'A?', type: 'colour' } } })
+                .catch((err) => error = err));
+
+            return h.sendText(1, '/form').then(() => {
+                assert.strictEqual(error.message, 'Unknown type of form field a: colour');
+                assert.deepStrictEqual(h.sentMessages(1), []);
+            });
+        });
+    });
+});
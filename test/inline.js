@@ -0,0 +1,80 @@
+'use strict'
+
+var assert = require('assert');
+var testing = require('../lib/testing');
+
+var factories = testing.factories;
+
+describe('inline mode', () => {
+    let h;
+    let user;
+
+    function sendQuery(query, offset) {
+        return h.sendUpdate(factories.update('inline_query', {
+            id: 'q1',
+            from: user,
+            query: query,
+            offset: offset || ''
+        }));
+    }
+
+    beforeEach(() => {
+        h = testing.createHarness();
+        user = factories.user(1);
+    });
+
+    it('executes handler of query and answers it', () => {
+        h.bot.inlineQuery('cats', ($) => $.answer([{ type: 'article', id: '1', title: 'Cat',
+            input_message_content: { message_text: 'Cat' } }], { cache_time: 0 }));
+        h.bot.inlineQuery(/^dog/, ($) => $.answer([]));
+
+        return sendQuery('cats').then(() => sendQuery('dogs')).then(() => {
+            let calls = h.callsOf('answerInlineQuery');
+
+            assert.strictEqual(calls.length, 2);
+            assert.strictEqual(calls[0].params.inline_query_id, 'q1');
+            assert.strictEqual(calls[0].params.results[0].title, 'Cat');
+            assert.strictEqual(calls[0].params.cache_time, 0);
+            assert.deepStrictEqual(calls[1].params.results, []);
+        });
+    });
+
+    it('answers with page of results by offset', () => {
+        let results = [1, 2, 3, 4, 5].map((id) => ({ type: 'article', id: String(id), title: 'Item ' + id }));
+
+        h.bot.inlineQuery(($) => $.answerPage(results, { pageSize: 2 }));
+
+        return sendQuery('', '2').then(() => {
+            let params = h.lastCall('answerInlineQuery').params;
+
+            assert.deepStrictEqual(params.results.map((result) => result.id), ['3', '4']);
+            assert.strictEqual(params.next_offset, '4');
+            assert.strictEqual(params.pageSize, undefined);
+        });
+    });
+
+    it('executes handler of chosen result', () => {
+        let chosen;
+
+        h.bot.chosenInlineResult(($) => chosen = { id: $.resultId, query: $.query, user: $.user.id });
+
+        return h.sendUpdate(factories.update('chosen_inline_result', {
+            result_id: '3',
+            from: user,
+            query: 'cats',
+            inline_message_id: 'm1'
+        })).then(() => {
+            assert.deepStrictEqual(chosen, { id: '3', query: 'cats', user: 1 });
+        });
+    });
+
+    it('requests inline updates only when they are handled', () => {
+        assert.strictEqual(h.bot._getAllowedUpdates().indexOf('inline_query'), -1);
+
+        h.bot.inlineQuery(($) => $.answer([]));
+        h.bot.chosenInlineResult(() => {});
+
+        assert.ok(h.bot._getAllowedUpdates().indexOf('inline_query') !== -1);
+        assert.ok(h.bot._getAllowedUpdates().indexOf('chosen_inline_result') !== -1);
+    });
+});
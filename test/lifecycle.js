@@ -0,0 +1,104 @@
+'use strict'
+
+var assert = require('assert');
+var testing = require('../lib/testing');
+
+var factories = testing.factories;
+
+describe('lifecycle', () => {
+    let h;
+
+    /**
+     * Answer long polling requests with batches, the next request hangs like a long poll without updates
+     * @param {Array[]} batches - updates of the requests
+     */
+    function respondUpdates(batches) {
+        h.respond('getUpdates', (params) => {
+            if (params.timeout === 0 || !batches.length) {
+                return params.timeout === 0 ? [] : new Promise(() => {});
+            }
+
+            let batch = batches.shift();
+
+            if (batch instanceof Error) {
+                throw batch;
+            }
+
+            return batch;
+        });
+    }
+
+    function textUpdate(id, text) {
+        let update = factories.update('message', factories.message(factories.user(1), { text: text }));
+
+        update.update_id = id;
+
+        return update;
+    }
+
+    beforeEach(() => {
+        h = testing.createHarness({ botOptions: { pollingRetryDelay: 5 } });
+    });
+
+    it('does not start when the bot is created with autoStart: false', () => {
+        return new Promise((resolve) => setTimeout(resolve, 5)).then(() => {
+            assert.deepStrictEqual(h.calls, []);
+        });
+    });
+
+    it('receives updates and acknowledges offset after running handlers on stop', () => {
+        let log = [];
+
+        h.bot.text(($) => new Promise((resolve) => setTimeout(resolve, 20)).then(() => log.push($.message.text)));
+        respondUpdates([[textUpdate(7, 'a')]]);
+
+        return h.bot.start().then(() => new Promise((resolve) => setTimeout(resolve, 5))).then(() => {
+            assert.deepStrictEqual(log, []);
+
+            return h.bot.stop();
+        }).then(() => {
+            let calls = h.callsOf('getUpdates');
+
+            assert.deepStrictEqual(log, ['a']);
+            assert.strictEqual(calls[1].params.offset, 8);
+            assert.deepStrictEqual(calls[calls.length - 1].params, { offset: 8, timeout: 0, limit: 1 });
+        });
+    });
+
+    it('emits polling errors and repeats requests with backoff', () => {
+        let pollingErrors = [];
+
+        h.bot.on('polling_error', (err) => pollingErrors.push(err.message));
+        respondUpdates([new Error('ETIMEDOUT'), new Error('ECONNRESET'), [textUpdate(1, 'a')]]);
+
+        return h.bot.start().then(() => new Promise((resolve) => setTimeout(resolve, 50))).then(() => {
+            assert.deepStrictEqual(pollingErrors, ['ETIMEDOUT', 'ECONNRESET']);
+            assert.strictEqual(h.callsOf('getUpdates').length, 4);
+
+            return h.bot.stop();
+        });
+    });
+
+    it('increases delay of retries up to max delay', () => {
+        let bot = h.bot;
+
+        bot._options.pollingRetryDelay = 1000;
+        bot._options.pollingMaxRetryDelay = 5000;
+
+        assert.ok(bot._getRetryDelay(1) >= 500 && bot._getRetryDelay(1) <= 1000);
+        assert.ok(bot._getRetryDelay(3) >= 2000 && bot._getRetryDelay(3) <= 4000);
+        assert.ok(bot._getRetryDelay(10) >= 2500 && bot._getRetryDelay(10) <= 5000);
+    });
+
+    it('cancels pending waits on stop', () => {
+        let reason;
+
+        h.bot.command('ask', ($) => $.ask('Name?').catch((err) => reason = err.reason));
+        respondUpdates([]);
+
+        return h.bot.start().then(() => h.sendText(1, '/ask')).then(() => h.bot.stop()).then(() => {
+            assert.strictEqual(reason, 'stop');
+            assert.strictEqual(h.bot.getPendingWait(1), null);
+        });
+    });
+});
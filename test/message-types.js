@@ -0,0 +1,90 @@
+'use strict'
+
+var assert = require('assert');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('message types', () => {
+    let h;
+    let photo = { photo: [{ file_id: 'small', width: 90, height: 90 }] };
+
+    beforeEach(() => {
+        h = createHarness();
+    });
+
+    it('executes handlers of content type', () => {
+        let types = [];
+
+        h.bot.on(['photo', 'location'], ($) => types.push($.message.photo ? 'photo' : 'location'));
+
+        return h.sendMessage(1, photo).then(() => h.sendLocation(1, 1, 2)).then(() => h.sendText(1, 'hi')).then(() => {
+            assert.deepStrictEqual(types, ['photo', 'location']);
+        });
+    });
+
+    it('executes handlers of service messages in groups', () => {
+        let group = { id: -100, type: 'group', title: 'Group' };
+        let log = [];
+
+        h.bot.on('new_chat_members', ($) => log.push('joined ' + $.message.new_chat_members[0].id));
+        h.bot.on('left_chat_member', ($) => log.push('left ' + $.message.left_chat_member.id));
+
+        return h.sendMessage(1, { new_chat_members: [h.createUser(2)], chat: group }).then(() => {
+            return h.sendMessage(1, { left_chat_member: h.createUser(3), chat: group });
+        }).then(() => {
+            assert.deepStrictEqual(log, ['joined 2', 'left 3']);
+        });
+    });
+
+    it('runs handlers of content type after before-hooks', () => {
+        let log = [];
+
+        h.bot.beforeUpdate(($, next) => {
+            log.push('hook');
+            $.user.id === 1 && next();
+        });
+        h.bot.on('photo', ($) => log.push('photo ' + $.user.id));
+
+        return h.sendMessage(1, photo).then(() => h.sendMessage(2, photo)).then(() => {
+            assert.deepStrictEqual(log, ['hook', 'photo 1', 'hook']);
+        });
+    });
+
+    it('throws on unknown content type or event', () => {
+        assert.throws(() => h.bot.on('photos', () => {}), /Unknown message type or event: photos/);
+        assert.throws(() => h.bot.once('photos', () => {}), /Unknown message type or event: photos/);
+    });
+
+    it('executes handler added with once only for the first message', () => {
+        let count = 0;
+
+        h.bot.once('photo', () => count++);
+
+        return h.sendMessage(1, photo).then(() => h.sendMessage(1, photo)).then(() => {
+            assert.strictEqual(count, 1);
+        });
+    });
+
+    it('removes handler of content type', () => {
+        let count = 0;
+        let cb = () => count++;
+
+        h.bot.on('photo', cb);
+
+        return h.sendMessage(1, photo).then(() => {
+            h.bot.off('photo', cb);
+
+            return h.sendMessage(1, photo);
+        }).then(() => {
+            assert.strictEqual(count, 1);
+        });
+    });
+
+    it('adds listeners of bot events', () => {
+        let errors = [];
+
+        h.bot.on('polling_error', (err) => errors.push(err));
+        h.bot.emit('polling_error', new Error('ETIMEDOUT'));
+
+        assert.strictEqual(errors.length, 1);
+    });
+});
@@ -0,0 +1,97 @@
+'use strict'
+
+var assert = require('assert');
+var compose = require('../lib/compose');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('middleware', () => {
+    let h;
+    let log;
+    let errors;
+
+    beforeEach(() => {
+        h = createHarness();
+        log = [];
+        errors = [];
+        h.bot.catch((err) => errors.push(err.message));
+        h.bot.command('start', () => log.push('start'));
+        h.bot.text(() => log.push('text'));
+    });
+
+    it('runs middleware in order around the handler', () => {
+        h.bot.use(($, next) => {
+            log.push('a before');
+
+            return next().then(() => log.push('a after'));
+        });
+        h.bot.use(($, next) => {
+            log.push('b');
+
+            return next();
+        });
+
+        return h.sendText(1, '/start').then(() => {
+            assert.deepStrictEqual(log, ['a before', 'b', 'start', 'a after']);
+        });
+    });
+
+    it('runs middleware of update kind, command and text', () => {
+        h.bot.use('callback_query', () => log.push('callback query'));
+        h.bot.beforeCommand(($, next) => {
+            log.push('before command');
+            next();
+        });
+        h.bot.beforeText(($, next) => {
+            log.push('before text');
+            next();
+        });
+
+        return h.answer(1, ['/start', 'hi']).then(() => {
+            assert.deepStrictEqual(log, ['before command', 'start', 'before text', 'text']);
+        });
+    });
+
+    it('keeps several before-hooks', () => {
+        h.bot.beforeUpdate(($, next) => {
+            log.push('first');
+            next();
+        });
+        h.bot.beforeUpdate(($, next) => {
+            log.push('second');
+            next();
+        });
+
+        return h.sendText(1, 'hi').then(() => {
+            assert.deepStrictEqual(log, ['first', 'second', 'text']);
+        });
+    });
+
+    it('stops the chain when next is not called', () => {
+        h.bot.use(($, next) => $.user.id === 1 ? next() : undefined);
+
+        return h.sendText(2, 'hi').then(() => h.sendText(1, 'hi')).then(() => {
+            assert.deepStrictEqual(log, ['text']);
+        });
+    });
+
+    it('propagates errors of handlers through the chain', () => {
+        h.bot.use(($, next) => next().catch((err) => {
+            log.push('caught ' + err.message);
+            throw err;
+        }));
+        h.bot.command('fail', () => Promise.reject(new Error('oops')));
+
+        return h.sendText(1, '/fail').then(() => {
+            assert.deepStrictEqual(log, ['caught oops']);
+            assert.deepStrictEqual(errors, ['oops']);
+        });
+    });
+
+    it('rejects when next is called multiple times', () => {
+        let fn = compose([($, next) => next().then(() => next())]);
+
+        return fn({}, () => {}).then(() => assert.fail('chain should reject'), (err) => {
+            assert.strictEqual(err.message, 'next() called multiple times');
+        });
+    });
+});
@@ -0,0 +1,78 @@
+'use strict'
+
+var assert = require('assert');
+var tg = require('../tg');
+var testing = require('../lib/testing');
+
+describe('offset', () => {
+    let h;
+    let store;
+    let texts;
+
+    /**
+     * Deliver update to webhook callback of the bot
+     * @param {Object} update - update from telegram
+     * @return {Object} response
+     */
+    function deliver(update) {
+        let res = { end: () => {} };
+
+        h.bot.webhookCallback()({ method: 'POST', url: '/hook', headers: {}, body: update }, res);
+
+        return res;
+    }
+
+    function post(update) {
+        deliver(update);
+
+        return h._waitForIdle();
+    }
+
+    function textUpdate(id, text) {
+        let update = testing.factories.update('message', testing.factories.message(testing.factories.user(1), {
+            text: text
+        }));
+
+        update.update_id = id;
+
+        return update;
+    }
+
+    beforeEach(() => {
+        store = new tg.MemoryStore();
+        h = testing.createHarness({ botOptions: { offsetStore: store, webhook: { path: '/hook' } } });
+        texts = [];
+        h.bot.text(($) => texts.push($.message.text));
+    });
+
+    it('saves the last processed update_id after handlers are finished', () => {
+        let finish;
+
+        h.bot.text('slow', () => new Promise((resolve) => finish = resolve));
+
+        assert.strictEqual(deliver(textUpdate(5, 'slow')).statusCode, 200);
+
+        return new Promise((resolve) => setTimeout(resolve, 5)).then(() => store.get(h.bot._offsetKey)).then((id) => {
+            assert.strictEqual(id, undefined);
+            finish();
+
+            return h._waitForIdle().then(() => new Promise((resolve) => setImmediate(resolve)));
+        }).then(() => store.get(h.bot._offsetKey)).then((updateId) => {
+            assert.strictEqual(updateId, 5);
+        });
+    });
+
+    it('ignores repeated updates', () => {
+        return post(textUpdate(5, 'a')).then(() => post(textUpdate(5, 'a'))).then(() => {
+            assert.deepStrictEqual(texts, ['a']);
+        });
+    });
+
+    it('ignores updates which were processed before restart', () => {
+        return store.set(h.bot._offsetKey, 7).then(() => h.bot._loadOffset()).then(() => {
+            return post(textUpdate(7, 'old'));
+        }).then(() => post(textUpdate(8, 'new'))).then(() => {
+            assert.deepStrictEqual(texts, ['new']);
+        });
+    });
+});
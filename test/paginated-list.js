@@ -0,0 +1,70 @@
+'use strict'
+
+var assert = require('assert');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('paginated list', () => {
+    let h;
+    let errors;
+
+    beforeEach(() => {
+        h = createHarness();
+        errors = [];
+        h.bot.catch((err) => errors.push(err));
+    });
+
+    it('switches pages by editing the message and selects item', () => {
+        let selected;
+
+        h.bot.command('list', ($) => $.sendPaginatedList({
+            items: ['a', 'b', 'c'],
+            pageSize: 2,
+            closeOnSelect: true,
+            onSelect: (item) => selected = item
+        }));
+
+        return h.sendText(1, '/list').then(() => h.clickInlineButton(1, '»')).then(() => {
+            let call = h.lastCall('editMessageText');
+
+            assert.deepStrictEqual(call.params.reply_markup.inline_keyboard.map((row) => row.map((b) => b.text)),
+                [['c'], ['«', '2/2']]);
+
+            return h.clickInlineButton(1, 'c');
+        }).then(() => {
+            assert.strictEqual(selected, 'c');
+            assert.deepStrictEqual(h.lastCall('editMessageReplyMarkup').params.reply_markup.inline_keyboard, []);
+            assert.deepStrictEqual(Object.keys(h.bot._inlineHandlers), []);
+        });
+    });
+
+    it('handles failed removal of buttons when the list expires', () => {
+        h.bot.command('list', ($) => $.sendPaginatedList({ items: ['a'], timeout: 20 }));
+
+        return h.sendText(1, '/list').then(() => {
+            h.respond('editMessageReplyMarkup', () => {
+                throw new Error('Bad Request: message to edit not found');
+            });
+
+            return new Promise((resolve) => setTimeout(resolve, 50));
+        }).then(() => {
+            assert.strictEqual(errors.length, 1);
+            assert.deepStrictEqual(Object.keys(h.bot._inlineHandlers), []);
+        });
+    });
+
+    it('closes by button and calls onClose with reason', () => {
+        let reason;
+
+        h.bot.command('list', ($) => $.sendPaginatedList({
+            items: ['a', 'b', 'c'],
+            pageSize: 2,
+            closeText: 'Close',
+            onClose: (value) => reason = value
+        }));
+
+        return h.sendText(1, '/list').then(() => h.clickInlineButton(1, 'Close')).then(() => {
+            assert.strictEqual(reason, 'close');
+            assert.deepStrictEqual(Object.keys(h.bot._inlineHandlers), []);
+        });
+    });
+});
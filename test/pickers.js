@@ -0,0 +1,91 @@
+'use strict'
+
+var assert = require('assert');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('pickers', () => {
+    let h;
+    let errors;
+
+    beforeEach(() => {
+        h = createHarness();
+        errors = [];
+        h.bot.catch((err) => errors.push(err));
+    });
+
+    it('switches months and resolves chosen date', () => {
+        let chosen;
+
+        h.bot.command('date', ($) => $.sendDatePicker({
+            date: new Date(2026, 9, 10),
+            max: new Date(2026, 10, 20),
+            disabled: (date) => date.getDay() === 0
+        }).then((date) => chosen = date));
+
+        return h.sendText(1, '/date').then(() => {
+            assert.strictEqual(h.lastQuestion(1).keyboard[0][1].text, 'October 2026');
+
+            return h.clickInlineButton(1, '›');
+        }).then(() => {
+            let keyboard = h.lastCall('editMessageReplyMarkup').params.reply_markup.inline_keyboard;
+
+            assert.strictEqual(keyboard[0][1].text, 'November 2026');
+            assert.strictEqual(keyboard[0][2].text, ' ');
+
+            return h.clickInlineButton(1, '20');
+        }).then(() => {
+            assert.strictEqual(chosen.getTime(), new Date(2026, 10, 20).getTime());
+            assert.strictEqual(h.lastCall('editMessageText').params.text, 'Choose a date: 2026-11-20');
+        });
+    });
+
+    it('is used as field of form', () => {
+        let result;
+
+        h.bot.command('form', ($) => $.sendForm({
+            fields: {
+                at: { q: 'At?', type: 'time', min: '10:00', max: '11:30', step: 30, date: new Date(2026, 0, 2) }
+            }
+        }).then((res) => result = res));
+
+        return h.sendText(1, '/form').then(() => h.clickInlineButton(1, '11:00')).then(() => {
+            return h.clickInlineButton(1, '11:30');
+        }).then(() => {
+            assert.strictEqual(result.at.getTime(), new Date(2026, 0, 2, 11, 30).getTime());
+            assert.strictEqual(h.bot.getPendingWait(1), null);
+        });
+    });
+
+    it('expires after timeout and rejects with reason', () => {
+        let reason;
+
+        h.bot.command('date', ($) => $.sendDatePicker({ timeout: 20, onTimeout: 'Too late' })
+            .catch((err) => reason = err.reason));
+
+        return h.sendText(1, '/date').then(() => new Promise((resolve) => setTimeout(resolve, 50))).then(() => {
+            assert.strictEqual(reason, 'timeout');
+            assert.strictEqual(h.lastQuestion(1).text, 'Too late');
+            assert.deepStrictEqual(h.lastCall('editMessageReplyMarkup').params.reply_markup.inline_keyboard, []);
+            assert.deepStrictEqual(Object.keys(h.bot._inlineHandlers), []);
+        });
+    });
+
+    it('expires in 1 hour by default', () => {
+        let setTimeout = global.setTimeout;
+        let delays = [];
+
+        global.setTimeout = (fn, ms) => {
+            delays.push(ms);
+
+            return setTimeout(fn, ms);
+        };
+
+        try {
+            h.bot.sendTimePicker(1, {}, () => {});
+        } finally {
+            global.setTimeout = setTimeout;
+        }
+
+        assert.deepStrictEqual(delays, [60 * 60 * 1000]);
+    });
+});
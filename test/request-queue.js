@@ -0,0 +1,78 @@
+'use strict'
+
+var assert = require('assert');
+var RequestQueue = require('../lib/request-queue');
+var errors = require('../lib/errors');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('request queue', () => {
+    it('keeps limit of private chat and order of its requests', () => {
+        let queue = new RequestQueue({ privateInterval: 30 });
+        let log = [];
+        let started = Date.now();
+        let request = (name) => () => log.push({ name: name, time: Date.now() - started });
+
+        return Promise.all([queue.push(1, request('a1')), queue.push(1, request('a2')), queue.push(2, request('b1'))])
+            .then(() => {
+                assert.deepStrictEqual(log.map((item) => item.name), ['a1', 'b1', 'a2']);
+                assert.ok(log[2].time >= 25);
+                assert.strictEqual(queue.size, 0);
+            });
+    });
+
+    it('keeps global limit', () => {
+        let queue = new RequestQueue({ globalLimit: 2, globalInterval: 30 });
+        let times = [];
+        let started = Date.now();
+        let request = () => times.push(Date.now() - started);
+
+        return Promise.all([1, 2, 3].map((chatId) => queue.push(chatId, request))).then(() => {
+            assert.strictEqual(times.length, 3);
+            assert.ok(times[2] >= 25);
+        });
+    });
+
+    it('repeats request after 429 error and emits drain', () => {
+        let queue = new RequestQueue();
+        let attempts = 0;
+        let retries = [];
+        let drained = false;
+
+        queue.on('retry', (err, count) => retries.push(count));
+        queue.on('drain', () => drained = true);
+
+        return queue.push(-100, () => {
+            if (!attempts++) {
+                throw errors.createApiError({ error_code: 429, description: 'Too Many Requests: retry after 1',
+                    parameters: { retry_after: 1 } });
+            }
+
+            return 'ok';
+        }).then((result) => {
+            assert.strictEqual(result, 'ok');
+            assert.deepStrictEqual(retries, [1]);
+            assert.ok(drained);
+        });
+    });
+
+    it('rejects with other errors without retries', () => {
+        let queue = new RequestQueue();
+
+        return queue.push(1, () => Promise.reject(new Error('Bad Request'))).then(() => {
+            assert.fail('request should fail');
+        }, (err) => {
+            assert.strictEqual(err.message, 'Bad Request');
+            assert.strictEqual(queue.size, 0);
+        });
+    });
+
+    it('sends messages of the bot through the queue', () => {
+        let h = createHarness({ botOptions: { queue: { privateInterval: 20 } } });
+
+        return Promise.all([h.bot.sendMessage(1, 'a'), h.bot.sendMessage(1, 'b')]).then(() => {
+            assert.deepStrictEqual(h.sentMessages(1).map((message) => message.text), ['a', 'b']);
+            assert.strictEqual(h.bot.queue.size, 0);
+            assert.strictEqual(h.bot.queue.chatSize(1), 0);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+'use strict'
+
+var assert = require('assert');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('scenes', () => {
+    let h;
+    let log;
+
+    beforeEach(() => {
+        h = createHarness();
+        log = [];
+
+        h.bot.scene('checkout')
+            .enter(($) => $.sendMessage('Address? Items: ' + $.scene.state.items))
+            .leave(($) => log.push('leave ' + $.scene.state.address))
+            .command('back', ($) => $.scene.leave().then(() => $.sendMessage('Cancelled')))
+            .text(($) => {
+                $.scene.state.address = $.message.text;
+
+                return $.scene.leave().then(() => $.sendMessage('Ordered'));
+            })
+            .callbackQuery('pay', ($) => log.push('scene pay'));
+
+        h.bot.command('buy', ($) => $.scene.enter('checkout', { items: 2 }));
+        h.bot.command('help', ($) => $.sendMessage('Help'));
+        h.bot.text(($) => log.push('global ' + $.message.text));
+        h.bot.callbackQuery('pay', () => log.push('global pay'));
+    });
+
+    it('routes updates to handlers of the current scene and then to global handlers', () => {
+        return h.sendText(1, '/buy').then(() => {
+            assert.strictEqual(h.lastQuestion(1).text, 'Address? Items: 2');
+
+            return h.clickButton(1, 'pay');
+        }).then(() => h.sendText(1, '/help')).then(() => h.sendText(1, 'Main st')).then(() => {
+            assert.strictEqual(h.lastQuestion(1).text, 'Ordered');
+            assert.deepStrictEqual(log, ['scene pay', 'leave Main st']);
+
+            return h.sendText(1, 'hello');
+        }).then(() => h.clickButton(1, 'pay')).then(() => {
+            assert.deepStrictEqual(log.slice(2), ['global hello', 'global pay']);
+            assert.deepStrictEqual(h.sentMessages(1).map((message) => message.text),
+                ['Address? Items: 2', 'Help', 'Ordered']);
+        });
+    });
+
+    it('keeps scenes of chats apart', () => {
+        return h.sendText(1, '/buy').then(() => h.sendText(2, 'hi')).then(() => h.sendText(1, '/back')).then(() => {
+            assert.strictEqual(h.lastQuestion(1).text, 'Cancelled');
+            assert.deepStrictEqual(log, ['global hi', 'leave undefined']);
+        });
+    });
+
+    it('rejects when the scene is unknown', () => {
+        let error;
+
+        h.bot.command('go', ($) => $.scene.enter('missing').catch((err) => error = err));
+
+        return h.sendText(1, '/go').then(() => {
+            assert.strictEqual(error.message, 'Unknown scene: missing');
+        });
+    });
+});
@@ -0,0 +1,72 @@
+'use strict'
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var tg = require('../tg');
+var createHarness = require('../lib/testing').createHarness;
+
+describe('session', () => {
+    let group = { id: -100, type: 'group', title: 'Group' };
+
+    function count(h) {
+        h.bot.text(($) => {
+            $.session.count = ($.session.count || 0) + 1;
+        });
+    }
+
+    it('keeps session of the chat between updates', () => {
+        let store = new tg.MemoryStore();
+        let h = createHarness({ botOptions: { session: { store: store } } });
+
+        count(h);
+
+        return h.answer(1, ['a', 'b']).then(() => h.sendText(2, 'c')).then(() => {
+            return Promise.all([store.get('1'), store.get('2')]);
+        }).then((sessions) => {
+            assert.deepStrictEqual(sessions, [{ count: 2 }, { count: 1 }]);
+        });
+    });
+
+    it('uses session of the user in the chat with chat_user key', () => {
+        let store = new tg.MemoryStore();
+        let h = createHarness({ botOptions: { session: { store: store, key: 'chat_user' } } });
+
+        count(h);
+
+        return h.sendText(1, 'a', { chat: group }).then(() => h.sendText(2, 'b', { chat: group })).then(() => {
+            return Promise.all([store.get('-100:1'), store.get('-100:2'), store.get('-100')]);
+        }).then((sessions) => {
+            assert.deepStrictEqual(sessions, [{ count: 1 }, { count: 1 }, undefined]);
+        });
+    });
+
+    it('deletes empty session', () => {
+        let store = new tg.MemoryStore();
+        let h = createHarness({ botOptions: { session: { store: store } } });
+
+        h.bot.text('reset', ($) => {
+            $.session = {};
+        });
+        count(h);
+
+        return h.sendText(1, 'a').then(() => h.sendText(1, 'reset')).then(() => store.get('1')).then((data) => {
+            assert.strictEqual(data, undefined);
+        });
+    });
+
+    it('saves sessions to JSON file', () => {
+        let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tg-'));
+        let filePath = path.join(dir, 'sessions.json');
+        let h = createHarness({ botOptions: { session: { store: new tg.FileStore(filePath), key: 'user' } } });
+
+        count(h);
+
+        return h.answer(1, ['a', 'b']).then(() => new tg.FileStore(filePath).get('1')).then((data) => {
+            assert.deepStrictEqual(data, { count: 2 });
+            fs.unlinkSync(filePath);
+            fs.rmdirSync(dir);
+        });
+    });
+});
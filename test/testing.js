@@ -0,0 +1,82 @@
+'use strict'
+
+var assert = require('assert');
+var tg = require('../tg');
+var testing = require('../lib/testing');
+
+describe('testing harness', () => {
+    let h;
+
+    beforeEach(() => {
+        h = testing.createHarness({ username: 'Shop_Bot' });
+    });
+
+    it('records api calls of the bot and returns fake results', () => {
+        h.bot.text('hi', ($) => $.sendMessage('Hello, ' + $.user.first_name, { reply_markup: { keyboard: [['a']] } }));
+
+        return h.sendText(h.createUser({ id: 5, first_name: 'Ann' }), 'hi').then(() => {
+            let call = h.lastCall('sendMessage');
+
+            assert.strictEqual(call.params.chat_id, 5);
+            assert.deepStrictEqual(call.params.reply_markup, { keyboard: [['a']] });
+            assert.strictEqual(call.result.text, 'Hello, Ann');
+            assert.strictEqual(call.result.from.username, 'Shop_Bot');
+            assert.deepStrictEqual(h.lastQuestion(5), { text: 'Hello, Ann', keyboard: [['a']] });
+
+            h.reset();
+
+            assert.deepStrictEqual(h.calls, []);
+        });
+    });
+
+    it('returns custom results and errors of api methods', () => {
+        h.respond('getUserProfilePhotos', { total_count: 0, photos: [] });
+        h.respond('sendMessage', () => {
+            throw tg.errors.createApiError({ error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+        });
+
+        return h.bot.getUserProfilePhotos(1).then((photos) => {
+            assert.deepStrictEqual(photos, { total_count: 0, photos: [] });
+
+            return h.bot.sendMessage(1, 'hi');
+        }).then(() => assert.fail('sending should fail'), (err) => {
+            assert.ok(err instanceof tg.BotBlockedError);
+        });
+    });
+
+    it('answers questions and presses buttons of keyboards', () => {
+        let result;
+
+        h.bot.command('order', ($) => $.sendForm({
+            fields: {
+                size: { q: 'Size?', type: 'choice', choices: ['S', 'M'] },
+                place: { q: 'Where?', type: 'location' },
+                color: { q: 'Color?' }
+            }
+        }).then((res) => result = res));
+
+        return h.answer(1, ['/order']).then(() => h.chooseButton(1, 'M')).then(() => {
+            return h.chooseButton(1, 'Send location', { latitude: 1, longitude: 2 });
+        }).then(() => h.answer(1, ['red'])).then(() => {
+            assert.deepStrictEqual(result, { size: 'M', place: { latitude: 1, longitude: 2 }, color: 'red' });
+        });
+    });
+
+    it('rejects when the button is not found', () => {
+        h.bot.command('start', ($) => $.sendMessage('Hi'));
+
+        return h.sendText(1, '/start').then(() => h.clickInlineButton(1, 'Go')).then(() => {
+            assert.fail('click should fail');
+        }, (err) => {
+            assert.strictEqual(err.message, 'Inline button "Go" is not found in the last inline keyboard');
+
+            return h.chooseButton(1, 'Go').catch((error) => error);
+        }).then((err) => {
+            assert.strictEqual(err.message, 'Button "Go" is not found in the last keyboard');
+        });
+    });
+
+    it('is available from the bot module', () => {
+        assert.strictEqual(tg.testing, testing);
+    });
+});
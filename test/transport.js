@@ -0,0 +1,143 @@
+'use strict'
+
+var assert = require('assert');
+var http = require('http');
+var net = require('net');
+var querystring = require('querystring');
+var Transport = require('../lib/transport');
+var errors = require('../lib/errors');
+
+/**
+ * Read stream to string
+ * @param {Stream} stream - readable stream
+ * @return {Promise}
+ */
+function read(stream) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+
+        stream.on('data', (chunk) => data += chunk);
+        stream.on('end', () => resolve(data));
+        stream.on('error', reject);
+    });
+}
+
+describe('transport', () => {
+    let server;
+    let proxy;
+    let baseUrl;
+    let requests;
+
+    before((done) => {
+        server = http.createServer((req, res) => {
+            read(req).then((body) => {
+                let method = req.url.split('/').pop();
+
+                requests.push({ url: req.url, body: body, headers: req.headers });
+
+                if (/^\/file\//.test(req.url)) {
+                    return res.end('content of ' + method);
+                }
+
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(method === 'fail' ?
+                    { ok: false, error_code: 400, description: 'Bad Request: chat not found' } :
+                    { ok: true, result: { method: method } }));
+            });
+        });
+
+        // http proxy which tunnels connections with CONNECT method
+        proxy = http.createServer();
+        proxy.on('connect', (req, socket, head) => {
+            let target = req.url.split(':');
+            let upstream = net.connect(+target[1], target[0], () => {
+                socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+                upstream.write(head);
+                upstream.pipe(socket);
+                socket.pipe(upstream);
+            });
+        });
+
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = 'http://127.0.0.1:' + server.address().port;
+            proxy.listen(0, '127.0.0.1', done);
+        });
+    });
+
+    after(() => {
+        server.close();
+        proxy.close();
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    it('sends params as form and returns result of the method', () => {
+        let transport = new Transport({ apiUrl: baseUrl + '/botT/', fileUrl: baseUrl + '/file/botT/' });
+
+        return transport.request('sendMessage', { chat_id: 1, text: 'hi', reply_markup: { keyboard: [['a']] } })
+            .then((result) => {
+                let body = querystring.parse(requests[0].body);
+
+                assert.deepStrictEqual(result, { method: 'sendMessage' });
+                assert.strictEqual(body.text, 'hi');
+                assert.deepStrictEqual(JSON.parse(body.reply_markup), { keyboard: [['a']] });
+                transport.close();
+            });
+    });
+
+    it('rejects with api error', () => {
+        let transport = new Transport({ apiUrl: baseUrl + '/botT/' });
+
+        return transport.request('fail').then(() => assert.fail('request should fail'), (err) => {
+            assert.ok(err instanceof errors.ApiError);
+            assert.strictEqual(err.code, 400);
+            transport.close();
+        });
+    });
+
+    it('uploads local file given as { source: path } with multipart/form-data', () => {
+        let transport = new Transport({ apiUrl: baseUrl + '/botT/' });
+
+        return transport.request('sendDocument', { chat_id: 1 }, { document: { source: __filename } }).then(() => {
+            assert.ok(/^multipart\/form-data/.test(requests[0].headers['content-type']));
+            assert.ok(requests[0].body.indexOf('filename="transport.js"') !== -1);
+            assert.ok(requests[0].body.indexOf('uploads local file given as') !== -1);
+            transport.close();
+        });
+    });
+
+    it('passes error of reading the file for upload as is', () => {
+        let transport = new Transport({ apiUrl: baseUrl + '/botT/' });
+
+        return transport.request('sendPhoto', { chat_id: 1 }, { photo: { source: '/not/existing.jpg' } }).then(() => {
+            assert.fail('request should fail');
+        }, (err) => {
+            assert.ok(!(err instanceof errors.NetworkError));
+            assert.strictEqual(err.code, 'ENOENT');
+            assert.strictEqual(requests.length, 0);
+        });
+    });
+
+    it('downloads files with another protocol than api', () => {
+        let transport = new Transport({ apiUrl: 'https://127.0.0.1:1/botT/', fileUrl: baseUrl + '/file/botT/' });
+
+        return transport.download('photos/a.jpg').then(read).then((content) => {
+            assert.strictEqual(content, 'content of a.jpg');
+            transport.close();
+        });
+    });
+
+    it('sends requests through http proxy', () => {
+        let transport = new Transport({
+            apiUrl: baseUrl + '/botT/',
+            proxy: 'http://127.0.0.1:' + proxy.address().port
+        });
+
+        return transport.request('getMe').then((result) => {
+            assert.deepStrictEqual(result, { method: 'getMe' });
+            transport.close();
+        });
+    });
+});
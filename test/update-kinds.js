@@ -0,0 +1,69 @@
+'use strict'
+
+var assert = require('assert');
+var testing = require('../lib/testing');
+
+var factories = testing.factories;
+
+describe('update kinds', () => {
+    let channel = { id: -1001, type: 'channel', title: 'News' };
+
+    function post(h, kind, text) {
+        let message = factories.message(undefined, { text: text }, channel);
+
+        delete message.from;
+
+        return h.sendUpdate(factories.update(kind, message));
+    }
+
+    it('executes handlers of edited messages with scope of the chat', () => {
+        let h = testing.createHarness();
+        let log = [];
+
+        h.bot.text(($) => log.push('text ' + $.message.text));
+        h.bot.editedMessage(/^fixed/, ($) => $.sendMessage('Edited: ' + $.message.text));
+
+        return h.sendUpdate(factories.update('edited_message', factories.message(h.createUser(1), {
+            text: 'fixed typo',
+            edit_date: 1
+        }))).then(() => {
+            assert.deepStrictEqual(log, []);
+            assert.strictEqual(h.lastQuestion(1).text, 'Edited: fixed typo');
+        });
+    });
+
+    it('executes handlers of channel posts and edited posts', () => {
+        let h = testing.createHarness();
+        let log = [];
+
+        h.bot.channelPost(($) => log.push('post ' + $.chatId + ' ' + $.message.text));
+        h.bot.editedChannelPost('news', ($) => log.push('edited ' + $.message.text));
+
+        return post(h, 'channel_post', 'hello').then(() => post(h, 'edited_channel_post', 'news')).then(() => {
+            return post(h, 'edited_channel_post', 'other');
+        }).then(() => {
+            assert.deepStrictEqual(log, ['post -1001 hello', 'edited news']);
+        });
+    });
+
+    it('processes update kinds with text handlers when they are enabled', () => {
+        let h = testing.createHarness({ botOptions: { messageUpdates: ['message', 'channel_post'] } });
+        let log = [];
+
+        h.bot.text('ping', ($) => log.push($.updateType));
+
+        return post(h, 'channel_post', 'ping').then(() => h.sendText(1, 'ping')).then(() => {
+            assert.deepStrictEqual(log, ['channel_post', 'message']);
+        });
+    });
+
+    it('requests only handled kinds of updates', () => {
+        let h = testing.createHarness();
+
+        assert.deepStrictEqual(h.bot._getAllowedUpdates(), ['message', 'callback_query']);
+
+        h.bot.editedMessage(() => {});
+
+        assert.deepStrictEqual(h.bot._getAllowedUpdates(), ['message', 'callback_query', 'edited_message']);
+    });
+});
@@ -0,0 +1,120 @@
+'use strict'
+
+var assert = require('assert');
+var http = require('http');
+var net = require('net');
+var testing = require('../lib/testing');
+
+/**
+ * Get free port for the webhook server
+ * @return {Promise}
+ */
+function getPort() {
+    return new Promise((resolve) => {
+        let server = net.createServer();
+
+        server.listen(0, '127.0.0.1', () => {
+            let port = server.address().port;
+
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Post update to the webhook server
+ * @param {Number} port - port of the server
+ * @param {String} path - path of the request
+ * @param {Object} update - update from telegram
+ * @param {Object} [headers] - headers of the request
+ * @return {Promise} - status code
+ */
+function post(port, path, update, headers) {
+    return new Promise((resolve, reject) => {
+        let req = http.request({ host: '127.0.0.1', port: port, path: path, method: 'POST', headers: headers },
+            (res) => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            });
+
+        req.on('error', reject);
+        req.end(JSON.stringify(update));
+    });
+}
+
+describe('webhook', () => {
+    let h;
+    let texts;
+
+    beforeEach(() => {
+        h = testing.createHarness();
+        texts = [];
+        h.bot.text(($) => texts.push($.message.text));
+    });
+
+    it('registers webhook url with options', () => {
+        return h.bot.startWebhook({ url: 'https://example.com/', path: '/hook', secretToken: 'secret',
+            maxConnections: 10 }).then(() => {
+            let params = h.lastCall('setWebhook').params;
+
+            assert.strictEqual(params.url, 'https://example.com/hook');
+            assert.strictEqual(params.secret_token, 'secret');
+            assert.strictEqual(params.max_connections, 10);
+
+            return h.bot.stop();
+        });
+    });
+
+    it('handles updates with own server and checks secret token', () => {
+        let port;
+        let update = testing.factories.update('message', testing.factories.message(testing.factories.user(1), {
+            text: 'hi'
+        }));
+
+        return getPort().then((value) => {
+            port = value;
+
+            return h.bot.startWebhook({ port: port, host: '127.0.0.1', path: '/hook', secretToken: 'secret' });
+        }).then(() => Promise.all([
+            post(port, '/hook', update),
+            post(port, '/other', update, { 'X-Telegram-Bot-Api-Secret-Token': 'secret' }),
+            post(port, '/hook', update, { 'X-Telegram-Bot-Api-Secret-Token': 'secret' })
+        ])).then((codes) => {
+            assert.deepStrictEqual(codes, [403, 404, 200]);
+
+            return h._waitForIdle();
+        }).then(() => {
+            assert.deepStrictEqual(texts, ['hi']);
+
+            return h.bot.stop();
+        }).then(() => {
+            assert.strictEqual(h.bot._webhook, null);
+        });
+    });
+
+    it('passes other requests to the next middleware', () => {
+        let callback = h.bot.webhookCallback();
+        let passed = 0;
+        let res = { end: () => {} };
+
+        h.bot._options.webhook = { path: '/hook' };
+        callback({ method: 'GET', url: '/hook', headers: {} }, res, () => passed++);
+        callback({ method: 'POST', url: '/health', headers: {} }, res, () => passed++);
+
+        assert.strictEqual(passed, 2);
+    });
+
+    it('accepts body which is already parsed by framework', () => {
+        let res = { end: () => {} };
+        let update = testing.factories.update('message', testing.factories.message(testing.factories.user(1), {
+            text: 'parsed'
+        }));
+
+        h.bot.webhookCallback()({ method: 'POST', url: '/', headers: {}, body: update }, res);
+
+        return h._waitForIdle().then(() => {
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(texts, ['parsed']);
+        });
+    });
+});
@@ -1,10 +1,14 @@
 'use strict'
 
-var req = require('tiny_request')
 var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var path = require('path');
+var EventEmitter = require('events');
 var assign = require('lodash/assign');
 var compact = require('lodash/compact');
 var find = require('lodash/find');
+var findLastIndex = require('lodash/findLastIndex');
 var get = require('lodash/get');
 var forEach = require('lodash/forEach');
 var map = require('lodash/map');
@@ -14,6 +18,71 @@ var isRegExp = require('lodash/isRegExp');
 var isString = require('lodash/isString');
 var isFunction = require('lodash/isFunction');
 var flattenDeep = require('lodash/flattenDeep');
+var cloneDeep = require('lodash/cloneDeep');
+var isPlainObject = require('lodash/isPlainObject');
+var uniq = require('lodash/uniq');
+var chunk = require('lodash/chunk');
+var omit = require('lodash/omit');
+var pick = require('lodash/pick');
+var multipart = require('./lib/multipart');
+var inlineResults = require('./lib/inline-results');
+var compose = require('./lib/compose');
+var session = require('./lib/session');
+var MemoryStore = require('./lib/stores/memory');
+var FileStore = require('./lib/stores/file');
+var errors = require('./lib/errors');
+var commandParser = require('./lib/command-parser');
+var formFields = require('./lib/form-fields');
+var calendar = require('./lib/calendar');
+var RequestQueue = require('./lib/request-queue');
+var Broadcast = require('./lib/broadcast');
+var Dispatcher = require('./lib/dispatcher');
+var Transport = require('./lib/transport');
+var Scene = require('./lib/scene');
+
+// content types of message which can be handled with bot.on()
+var MESSAGE_TYPES = [
+    'text', 'audio', 'document', 'photo', 'sticker', 'video', 'voice', 'video_note', 'contact', 'location', 'venue',
+    'new_chat_member', 'new_chat_members', 'left_chat_member', 'new_chat_title', 'new_chat_photo',
+    'delete_chat_photo', 'group_chat_created', 'supergroup_chat_created', 'channel_chat_created',
+    'migrate_to_chat_id', 'migrate_from_chat_id', 'pinned_message'
+];
+
+// events of the bot which can be listened with bot.on(), other names are content types of message
+var BOT_EVENTS = ['polling_error'];
+
+// kinds of updates with message which can be processed like a regular message
+var MESSAGE_UPDATES = ['message', 'edited_message', 'channel_post', 'edited_channel_post'];
+
+// methods which send messages to chats and go through request queue
+var QUEUED_METHODS = /^(send|forward|copy|edit)/;
+
+var API_URL = 'https://api.telegram.org';
+
+// default texts of form controls
+var FORM_TEXTS = {
+    back: 'Back',
+    skip: 'Skip',
+    review: {
+        text: 'Please check your answers:',
+        edit: 'Edit',
+        confirm: 'Confirm',
+        cancel: 'Cancel',
+        empty: '—'
+    }
+};
+
+// default texts of paginated list
+var LIST_TEXTS = {
+    text: 'Choose an item:',
+    emptyText: 'The list is empty',
+    prevText: '«',
+    nextText: '»',
+    closeText: null
+};
+
+// bots can download files of up to 20MB in size
+var MAX_DOWNLOAD_SIZE = 20 * 1024 * 1024;
 
 Promise.prototype.finally = function (callback) {
     let p = this.constructor;
@@ -23,18 +92,46 @@ Promise.prototype.finally = function (callback) {
     );
 };
 
-class tgBot {
+class tgBot extends EventEmitter {
     constructor(token, options) {
+        super();
+
         this._token = token;
-        this._url = 'https://api.telegram.org/bot' + this._token + '/';
         this._options = options || {};
 
-        this._beforeUpdate = null;
-        this._beforeCommand = null;
-        this._beforeText = null;
+        // base urls can point to self-hosted bot api server or local mock
+        let apiUrl = (this._options.apiUrl || API_URL).replace(/\/+$/, '');
+        let fileUrl = (this._options.fileUrl || apiUrl).replace(/\/+$/, '');
+
+        this._url = apiUrl + '/bot' + this._token + '/';
+        this._fileUrl = fileUrl + '/file/bot' + this._token + '/';
+        this._tmpDir = __dirname + '/tmp';
+
+        // transport is an object with request(method, params, files) and optional download(filePath),
+        // options of the default transport can be passed instead: timeout, keepAlive, proxy, agent
+        this._transport = this._options.transport && isFunction(this._options.transport.request) ?
+            this._options.transport :
+            new Transport(assign({}, this._options.transport, { apiUrl: this._url, fileUrl: this._fileUrl }));
+
+        // middleware stack: { type, fn }, type is kind of update, command or text
+        this._middleware = [];
+
+        this._errorHandler = null;
+
+        // optional queue of outgoing requests which keeps rate limits of telegram
+        this.queue = this._options.queue ?
+            new RequestQueue(this._options.queue === true ? {} : this._options.queue) :
+            null;
+        this._handledErrors = new WeakSet();
+
+        if (this._options.session) {
+            this.use(session(this._options.session === true ? {} : this._options.session));
+        }
 
         this._onAllText = null;
         this._onAllCallbackQueries = null;
+        this._onAllInlineQueries = null;
+        this._onChosenInlineResult = null;
 
         this._commands = {};
 
@@ -44,20 +141,74 @@ class tgBot {
         this._callbackQueriesCallbacks = {};
         this._callbackQueriesRegexpCallbacks = [];
 
+        this._inlineQueriesCallbacks = {};
+        this._inlineQueriesRegexpCallbacks = [];
+
+        this._messageTypeCallbacks = {};
+
+        // handlers of inline keyboards of forms and other widgets by unique prefix of callback data
+        this._inlineHandlers = {};
+        this._inlineHandlersCounter = 0;
+
+        // scenes by name and store of the current scene of chats
+        this._scenes = {};
+        this._sceneStore = this._options.sceneStore || new MemoryStore();
+
+        this._updateKindCallbacks = {};
+        MESSAGE_UPDATES.slice(1).forEach((kind) => {
+            this._updateKindCallbacks[kind] = { all: null, texts: {}, regexps: [] };
+        });
+
+        // kinds of updates which are processed with command and text handlers
+        this._messageUpdates = this._options.messageUpdates || ['message'];
+
         this._waitingCallbacks = {};
 
+        this._polling = null;
+        this._webhook = null;
+
         this._scopeFunctions = [
             'sendMessage', 'forwardMessage', 'sendChatAction', 'sendLocation', 'sendVenue', 'sendContact',
             'editChatMessageText', 'editChatMessageCaption', 'editChatMessageReplyMarkup',
-            'waitForMessage', 'sendMenu', 'sendForm', 'sendMessageWithInlineKeyboard', 'sendVenueWithInlineKeyboard',
-            'sendLocationWithInlineKeyboard', 'editChatMessageTextWithInlineKeyboard'
+            'waitForMessage', 'ask', 'sendMenu', 'sendForm', 'sendPaginatedList', 'sendDatePicker', 'sendTimePicker',
+            'sendMessageWithInlineKeyboard', 'sendVenueWithInlineKeyboard',
+            'sendLocationWithInlineKeyboard', 'editChatMessageTextWithInlineKeyboard',
+            'sendPhoto', 'sendDocument', 'sendAudio', 'sendVideo', 'sendVoice', 'sendSticker',
+            'sendPhotoWithInlineKeyboard', 'sendDocumentWithInlineKeyboard', 'sendAudioWithInlineKeyboard',
+            'sendVideoWithInlineKeyboard', 'sendVoiceWithInlineKeyboard', 'sendStickerWithInlineKeyboard'
         ];
+        // scope functions which wait for the next updates of the chat
+        this._waitFunctions = ['waitForMessage', 'ask', 'sendMenu', 'sendForm', 'sendDatePicker', 'sendTimePicker'];
 
-        if (!fs.existsSync(__dirname + '/tmp')) {
-            fs.mkdirSync(__dirname + '/tmp')
+        if (!fs.existsSync(this._tmpDir)) {
+            fs.mkdirSync(this._tmpDir)
         }
 
-        this._initPolling();
+        this._me = this._options.username ? { username: this._options.username } : null;
+
+        // optional store of the last processed update_id, so updates are not processed again after restart
+        this._offsetStore = this._options.offsetStore || null;
+        this._offsetKey = 'offset:' + String(this._token).split(':')[0];
+        this._lastUpdateId = 0;
+
+        // identifiers of recently processed updates for de-duplication
+        this._recentUpdates = new Set();
+        this._dedupWindow = this._options.dedupWindow || 100;
+
+        // updates of the same chat are processed one by one, updates of different chats are processed concurrently
+        this.dispatcher = new Dispatcher({ concurrency: this._options.concurrency });
+
+        this._running = false;
+        this._starting = null;
+        // promises of updates which are processed now
+        this._processing = new Set();
+        // scopes of handlers which lock their chats now, handler unlocks the chat while it waits for the next update
+        this._activeScopes = new Map();
+        this._scopeLocks = new WeakMap();
+
+        if (this._options.autoStart !== false) {
+            this.start().catch((err) => this._handleError(err));
+        }
     }
 
     /* Private methods */
@@ -66,237 +217,1469 @@ class tgBot {
      * Execute some api method
      * @param {String} method - some api method
      * @param {Object} params - query params
+     * @param {Object} [files] - files for upload by field name
+     * @return {Promise} - it is rejected with NetworkError, HttpError or ApiError
+     * @private
+     */
+    _api(method, params, files) {
+        if (this.queue && params && params.chat_id !== undefined && QUEUED_METHODS.test(method)) {
+            return this.queue.push(params.chat_id, () => this._request(method, params, files));
+        }
+
+        return this._request(method, params, files);
+    }
+
+    /**
+     * Send request to api with transport
+     * @param {String} method - some api method
+     * @param {Object} params - query params
+     * @param {Object} [files] - files for upload by field name
      * @return {Promise}
      * @private
      */
-    _api(method, params) {
-        return new Promise((resolve, reject) => {
-            req.post({
-                url: this._url + method,
-                form: params,
-                json: true
-            }, (body, res, err) => {
-                if (err || !body.ok) {
-                    reject(err || body.description);
-                }
+    _request(method, params, files) {
+        return new Promise((resolve) => resolve(this._transport.request(method, params, files)));
+    }
 
-                if (res.statusCode === 200) {
-                    resolve(body.result);
-                }
-            });
+    /**
+     * Send file of some type: file_id and url are sent as is, local content is uploaded
+     * @param {String} method - api method
+     * @param {String} type - type of file, it is also the name of the field
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} file - file_id, url, buffer, stream or { source, filename },
+     * local file is uploaded only as { source: path }, string is always sent as file_id or url
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @private
+     */
+    _sendFile(method, type, chatId, file, options) {
+        let params = this._prepareOptions(options, {
+            chat_id: chatId
         });
+        let files;
+
+        if (multipart.isLocalFile(file)) {
+            files = {};
+            files[type] = file;
+        } else {
+            params[type] = file;
+        }
+
+        return this._api(method, params, files);
+    }
+
+    /**
+     * Get information about the bot, its username is used for commands in groups (/start@bot) and mentions
+     * @return {Promise}
+     * @private
+     */
+    _loadMe() {
+        return this.getMe().then((me) => {
+            this._me = me;
+            return me;
+        }, (err) => this._handleError(err));
     }
 
     /**
      * Init polling mode
+     * @private
      */
     _initPolling() {
         this._polling = {
             timeout: this._options.timeout || 50,
-            offset: 0
+            offset: Math.max(this._polling ? this._polling.offset : 0, this._lastUpdateId && this._lastUpdateId + 1),
+            active: true,
+            errors: 0,
+            timer: null
         };
 
         this._startPolling();
     }
 
     /**
-     * Start getting updates using long polling
+     * Stop polling, the request in flight is ignored when it returns
+     * @private
+     */
+    _stopPolling() {
+        if (this._polling) {
+            this._polling.active = false;
+            clearTimeout(this._polling.timer);
+        }
+    }
+
+    /**
+     * Start getting updates using long polling, failed requests are repeated with exponential backoff
+     * @private
      */
     _startPolling() {
+        if (!this._polling || !this._polling.active) {
+            return;
+        }
+
+        let polling = this._polling;
+
         this._getUpdates().then((updates) => {
-            updates.forEach((update) => {
-                let scope = this._createScope(update);
+            if (!polling.active) {
+                return;
+            }
+
+            polling.errors = 0;
 
-                this._beforeUpdate ?
-                    this._beforeUpdate(scope, () => this._processUpdate(update, scope)) :
-                    this._processUpdate(update, scope);
+            let lastUpdateId = updates.length ? updates[updates.length - 1].update_id : 0;
+
+            // offset is saved when handlers of the batch are finished, so unfinished updates are received again
+            // after restart
+            Promise.all(updates.map((update) => this._handleUpdate(update))).then(() => {
+                lastUpdateId && this._saveOffset(lastUpdateId);
             });
+
+            this._startPolling();
+        }, (err) => {
+            if (!polling.active) {
+                return;
+            }
+
+            polling.errors++;
+
+            this.listenerCount('polling_error') ? this.emit('polling_error', err) : console.error(err);
+
+            polling.timer = setTimeout(() => this._startPolling(), this._getRetryDelay(polling.errors));
         });
     }
 
+    /**
+     * Get delay before the next polling request after errors: exponential backoff with jitter
+     * @param {Number} errorsCount - count of failed requests in a row
+     * @return {Number}
+     * @private
+     */
+    _getRetryDelay(errorsCount) {
+        let base = this._options.pollingRetryDelay || 1000;
+        let max = this._options.pollingMaxRetryDelay || 60 * 1000;
+        let delay = Math.min(max, base * Math.pow(2, errorsCount - 1));
+
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
     /**
      * Receive incoming updates using long polling
      * @see https://core.telegram.org/bots/api#getupdates
+     * @private
      */
     _getUpdates() {
+        let polling = this._polling;
+
         return this._api('getUpdates', {
-            timeout: this._polling.timeout,
-            offset: this._polling.offset
+            timeout: polling.timeout,
+            offset: polling.offset,
+            allowed_updates: JSON.stringify(this._getAllowedUpdates())
         }).then((res) => {
-            if (res && res.length) {
-                this._polling.offset = res[res.length - 1].update_id + 1;
+            if (polling.active && res && res.length) {
+                polling.offset = res[res.length - 1].update_id + 1;
             }
 
             return res;
-        }).finally(() => {
-            this._startPolling();
         });
     }
 
     /**
-     * Check if the text is a command
-     * @param {String} text - text message
+     * Init webhook mode: start own http(s) server if port is specified and register webhook url
+     * @param {Object} options - webhook options
      * @private
      */
-    _isCommand(text) {
-        if (!text) return;
-        return text.indexOf('/') === 0;
+    _initWebhook(options) {
+        options = assign({
+            path: '/bot' + this._token,
+            host: '0.0.0.0'
+        }, options);
+
+        this._webhook = {
+            options: options,
+            server: null
+        };
+
+        if (options.port) {
+            let handler = this.webhookCallback();
+
+            if (options.key && options.cert) {
+                this._webhook.server = https.createServer({
+                    key: this._readWebhookFile(options.key),
+                    cert: this._readWebhookFile(options.cert),
+                    ca: options.ca && this._readWebhookFile(options.ca)
+                }, handler);
+            } else {
+                this._webhook.server = http.createServer(handler);
+            }
+
+            this._webhook.server.listen(options.port, options.host);
+        }
+
+        if (options.url) {
+            let params = {};
+
+            options.maxConnections && (params.max_connections = options.maxConnections);
+            options.secretToken && (params.secret_token = options.secretToken);
+            let allowedUpdates = options.allowedUpdates || this._options.allowedUpdates;
+
+            allowedUpdates && (params.allowed_updates = allowedUpdates);
+
+            return this.setWebhook(options.url.replace(/\/$/, '') + options.path, params);
+        }
+
+        return Promise.resolve(true);
     }
 
     /**
-     * Create scope for command
-     * @param {Object} message - message from telegram
-     * @return {Object}
+     * Stop own webhook server, if it was started
+     * @return {Promise}
      * @private
      */
-    _createScope(update) {
-        let msgObject, chatId, user;
-        let scope = {};
+    _stopWebhook() {
+        let webhook = this._webhook;
 
-        if (update.message) {
-            scope.chatId = get(update.message, 'chat.id') || get(update.message, 'from.id');
-            scope.user = update.message.from;
-            scope.message = update.message;
-            scope.goTo = (command) => {
-                this._waitingCallbacks[scope.chatId] = null;
-                scope.message.text = command;
-                this._processMessage(scope);
-            };
-        } else if (update.callback_query) {
-            scope.chatId = get(update.callback_query, 'message.chat.id') || get(update.callback_query, 'message.from.id');
-            scope.user = update.callback_query.from;
-            scope.message = update.callback_query.message;
-            scope.answer = this.answerCallbackQuery.bind(this, update.callback_query.id);
-            scope.data = update.callback_query.data;
-            scope.clearCallback = () => {
-                delete this._callbackQueriesCallbacks[scope.user.id + ':' + scope.data];
-            };
-            scope.goTo = (command) => {
-                this._waitingCallbacks[scope.chatId] = null;
-                scope.message = { text: command };
-                this._processMessage(scope);
-            };
+        this._webhook = null;
+
+        if (!webhook || !webhook.server) {
+            return Promise.resolve();
         }
 
-        this._scopeFunctions.forEach((func) => {
-            scope[func] = this[func].bind(this, scope.chatId);
+        return new Promise((resolve) => {
+            webhook.server.close(() => resolve());
         });
+    }
 
-        return scope;
+    /**
+     * Read key or certificate for webhook server, the value can be a path or the content itself
+     * @param {String|Buffer} file - path to file or its content
+     * @return {String|Buffer}
+     * @private
+     */
+    _readWebhookFile(file) {
+        if (isString(file) && fs.existsSync(file)) {
+            return fs.readFileSync(file);
+        }
+
+        return file;
     }
 
     /**
-     * Process update of any kind
+     * Load the last processed update_id from offset store
+     * @return {Promise}
+     * @private
+     */
+    _loadOffset() {
+        if (!this._offsetStore) {
+            return Promise.resolve();
+        }
+
+        return this._offsetStore.get(this._offsetKey).then((updateId) => {
+            this._lastUpdateId = Math.max(this._lastUpdateId, updateId || 0);
+        });
+    }
+
+    /**
+     * Save the last processed update_id to offset store
+     * @param {Number} updateId - identifier of the update
+     * @private
+     */
+    _saveOffset(updateId) {
+        if (updateId <= this._lastUpdateId) {
+            return;
+        }
+
+        this._lastUpdateId = updateId;
+
+        if (this._offsetStore) {
+            this._offsetStore.set(this._offsetKey, updateId).catch((err) => this._handleError(err));
+        }
+    }
+
+    /**
+     * Check if the update was already processed recently, e.g. it was delivered twice
      * @param {Object} update - update from telegram
-     * @param {Object} scope - created scope from update
+     * @return {Boolean}
      * @private
      */
-    _processUpdate(update, scope) {
-        if (update.message) {
-            this._processMessage(scope);
-        } else if (update.callback_query) {
-            this._processCallbackQuery(scope);
+    _isDuplicate(update) {
+        let updateId = update.update_id;
+
+        if (updateId === undefined) {
+            return false;
+        }
+
+        // update was processed before restart, e.g. webhook request was repeated
+        if (updateId <= this._lastUpdateId || this._recentUpdates.has(updateId)) {
+            return true;
+        }
+
+        this._recentUpdates.add(updateId);
+
+        // set keeps order of insertion, so the first value is the oldest one
+        if (this._recentUpdates.size > this._dedupWindow) {
+            this._recentUpdates.delete(this._recentUpdates.values().next().value);
         }
+
+        return false;
     }
 
     /**
-     * Process incoming message
-     * @param {Object} message - message from telegram
+     * Create scope for update and process it
+     * @param {Object} update - update from telegram
      * @private
      */
-    _processMessage(scope) {
-        let text = scope.message.text;
+    _handleUpdate(update) {
+        if (this._isDuplicate(update)) {
+            return Promise.resolve();
+        }
 
-        if (text) {
-            // process message as a command
-            if (this._isCommand(text)) {
-                let command = this._prepareCommand(text);
+        let key = this._getUpdateChatKey(update);
+        let processing = this.dispatcher.push(key, () => {
+            let scope = this._createScope(update);
+            let lock = { key: String(key), locked: true, done: false, finish: null, persisted: [] };
+
+            key !== undefined && this._activeScopes.set(lock.key, scope);
+            this._scopeLocks.set(scope, lock);
+
+            // state which is saved when the handler waits for the next update and loaded when it continues
+            scope.persist = (save, load) => lock.persisted.push({ save: save, load: load });
+
+            return this._loadScene(scope)
+                .then(() => this._runMiddleware('update', scope, () => this._processUpdate(update, scope)))
+                .then(() => this._saveScene(scope))
+                .catch((err) => this._handleError(err, scope))
+                .then(() => {
+                    lock.done = true;
+                    lock.locked = false;
+                    this._activeScopes.get(lock.key) === scope && this._activeScopes.delete(lock.key);
+                    // chat was locked again after waiting
+                    lock.finish && lock.finish();
+                });
+        });
 
-                if (command) {
-                    scope.params = command.params;
-                    this._beforeCommand ?
-                        this._beforeCommand(scope, () => command.callback(scope)) :
-                        command.callback(scope);
-                }
-            } else {
-                if (this._beforeText) {
-                    this._beforeText(scope, () => { this._processTextCommand(scope) });
-                } else {
-                    this._processTextCommand(scope);
-                }
+        this._processing.add(processing);
+
+        return processing.then(() => {
+            this._processing.delete(processing);
+        });
+    }
+
+    /**
+     * Allow the next update of the chat to be processed while the current handler waits for it,
+     * scene and session of the handler are saved before, so the next update gets them
+     * @param {Number|String} chatId - unique identifier of the chat
+     * @private
+     */
+    _releaseChat(chatId) {
+        let key = String(chatId);
+        let scope = this._activeScopes.get(key);
+
+        if (!scope) {
+            this.dispatcher.release(key);
+            return;
+        }
+
+        let lock = this._scopeLocks.get(scope);
+
+        this._activeScopes.delete(key);
+
+        this._saveScopeState(scope).catch((err) => this._handleError(err, scope)).then(() => {
+            // handler can be finished while the state is saved
+            if (lock.locked) {
+                lock.locked = false;
+                this.dispatcher.release(key);
             }
+        });
+    }
+
+    /**
+     * Lock the chat again when waiting of the handler is finished: the handler continues after updates
+     * which were received before, with their changes of scene and session
+     * @param {Object} scope - scope of the handler
+     * @return {Promise}
+     * @private
+     */
+    _resumeScope(scope) {
+        let lock = this._scopeLocks.get(scope);
+
+        if (!lock || lock.done || lock.locked) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            this.dispatcher.push(lock.key, () => {
+                if (lock.done) {
+                    resolve();
+                    return;
+                }
+
+                lock.locked = true;
+                this._activeScopes.set(lock.key, scope);
+
+                this._loadScopeState(scope).catch((err) => this._handleError(err, scope)).then(resolve);
+
+                // the chat is locked until the handler is finished or waits again
+                return new Promise((finish) => lock.finish = finish);
+            });
+        });
+    }
+
+    /**
+     * Save scene and state registered with scope.persist, e.g. session
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _saveScopeState(scope) {
+        let persisted = this._scopeLocks.get(scope).persisted;
+
+        return Promise.all([this._saveScene(scope)].concat(persisted.map((item) => item.save())));
+    }
+
+    /**
+     * Load scene and state registered with scope.persist
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _loadScopeState(scope) {
+        let persisted = this._scopeLocks.get(scope).persisted;
+
+        return Promise.all([this._loadScene(scope)].concat(persisted.map((item) => item.load())));
+    }
+
+    /**
+     * Run middleware of some level and execute handler after them
+     * @param {String} level - update, command or text
+     * @param {Object} scope - scope
+     * @param {Function} handler - final handler
+     * @return {Promise}
+     * @private
+     */
+    _runMiddleware(level, scope, handler) {
+        let stack = this._middleware.filter((item) => {
+            return level === 'update' ? !item.type || item.type === scope.updateType : item.type === level;
+        });
+
+        return compose(map(stack, 'fn'))(scope, handler);
+    }
+
+    /**
+     * Wrap before-hook into middleware, hooks usually call next function without returning its result,
+     * so the result of next function is returned after the hook
+     * @param {Function} cb - hook with scope and next function
+     * @return {Function}
+     * @private
+     */
+    _wrapHook(cb) {
+        return (scope, next) => {
+            let result;
+
+            return Promise.resolve(cb(scope, () => (result = next()))).then(() => result);
+        };
+    }
+
+    /**
+     * Load the current scene of the chat to scope
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _loadScene(scope) {
+        if (!scope.scene || !Object.keys(this._scenes).length) {
+            return Promise.resolve();
         }
 
-        if (!this._isCommand(text)) {
-            let waitingCallback = this._waitingCallbacks[scope.chatId];
+        return this._sceneStore.get('scene:' + scope.chatId).then((data) => {
+            if (data && this._scenes[data.name]) {
+                scope.scene.current = data.name;
+                scope.scene.state = data.state || {};
+            }
+        });
+    }
+
+    /**
+     * Save the current scene of the chat and its state from scope
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _saveScene(scope) {
+        if (!scope.scene || !Object.keys(this._scenes).length) {
+            return Promise.resolve();
+        }
+
+        let key = 'scene:' + scope.chatId;
+
+        return scope.scene.current ?
+            this._sceneStore.set(key, { name: scope.scene.current, state: scope.scene.state }) :
+            this._sceneStore.delete(key);
+    }
+
+    /**
+     * Enter the scene: leave the current scene, save the new one and execute its enter handler
+     * @param {Object} scope - scope
+     * @param {String} name - name of the scene
+     * @param {Object} [state] - initial state of the scene
+     * @return {Promise}
+     * @private
+     */
+    _enterScene(scope, name, state) {
+        let scene = this._scenes[name];
+
+        if (!scene) {
+            return Promise.reject(new Error('Unknown scene: ' + name));
+        }
+
+        return this._leaveScene(scope).then(() => {
+            scope.scene.current = name;
+            scope.scene.state = state || {};
+
+            return this._saveScene(scope);
+        }).then(() => scene._enterCallback && scene._enterCallback(scope));
+    }
+
+    /**
+     * Leave the current scene: execute its leave handler and save that the chat is out of scenes
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _leaveScene(scope) {
+        let scene = this._getCurrentScene(scope);
+
+        if (!scope.scene.current) {
+            return Promise.resolve();
+        }
+
+        return Promise.resolve(scene && scene._leaveCallback && scene._leaveCallback(scope)).then(() => {
+            scope.scene.current = null;
+            scope.scene.state = {};
+
+            return this._saveScene(scope);
+        });
+    }
+
+    /**
+     * Add handler for inline keyboard of form or other widget
+     * @param {Function} cb - callback with scope and callback data without prefix
+     * @return {String} - prefix for callback data of buttons
+     * @private
+     */
+    _addInlineHandler(cb) {
+        let prefix = '~' + (++this._inlineHandlersCounter).toString(36) + ':';
+
+        this._inlineHandlers[prefix] = cb;
+
+        return prefix;
+    }
+
+    /**
+     * Remove handler for inline keyboard, its buttons are not handled anymore
+     * @param {String} prefix - prefix of callback data
+     * @private
+     */
+    _removeInlineHandler(prefix) {
+        delete this._inlineHandlers[prefix];
+    }
+
+    /**
+     * Open inline calendar
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Object} data - data for calendar
+     * @param {Function} cb - callback with chosen date
+     * @return {Function} - function which closes the calendar
+     * @private
+     */
+    _openDatePicker(chatId, data, cb) {
+        let month = calendar.startOfDay(data.date || data.min || new Date());
+
+        return this._openPicker(chatId, data, {
+            text: calendar.getMessages(data.locale).date,
+            render: (prefix) => calendar.getMonthKeyboard(month, data, prefix),
+            onAction: (action) => {
+                let match = action.match(/^(month|date):(.+)$/);
+                let date = match && calendar.fromKey(match[2]);
+
+                if (!date) {
+                    return;
+                }
+
+                if (match[1] === 'month') {
+                    month = date;
+                    return { render: true };
+                }
+
+                return calendar.isDateAllowed(date, data) ? {
+                    value: date,
+                    text: formFields.formatDate(date, isString(data.format) ? data.format : undefined)
+                } : undefined;
+            }
+        }, cb);
+    }
+
+    /**
+     * Open inline time picker
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Object} data - data for time picker
+     * @param {Function} cb - callback with date of chosen time
+     * @return {Function} - function which closes the time picker
+     * @private
+     */
+    _openTimePicker(chatId, data, cb) {
+        let hour = null;
+
+        return this._openPicker(chatId, data, {
+            text: calendar.getMessages(data.locale).time,
+            render: (prefix) => hour === null ?
+                calendar.getHoursKeyboard(data, prefix) :
+                calendar.getMinutesKeyboard(hour, data, prefix),
+            onAction: (action) => {
+                let match = action.match(/^(hour|time):(\d+)$/);
+
+                if (action === 'hours') {
+                    hour = null;
+                    return { render: true };
+                }
+
+                if (!match) {
+                    return;
+                }
+
+                let times = calendar.getTimes(data);
+                let time = +match[2];
+
+                if (match[1] === 'hour') {
+                    let hourTimes = times.filter((item) => Math.floor(item / 60) === time);
+
+                    // the only time of the hour is chosen at once
+                    if (hourTimes.length !== 1) {
+                        hour = time;
+                        return { render: true };
+                    }
+
+                    time = hourTimes[0];
+                }
+
+                let day = data.date || new Date();
+
+                return includes(times, time) ? {
+                    value: new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(time / 60), time % 60),
+                    text: calendar.formatTime(time)
+                } : undefined;
+            }
+        }, cb);
+    }
+
+    /**
+     * Send message with inline picker and handle its buttons until a value is chosen
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Object} data - text, options, cancelText, actions (extra buttons: { text, callback }),
+     * timeout (ms of inactivity before the picker expires, 1 hour by default), onTimeout, onCancel
+     * @param {Object} view - default text, render(prefix) which returns inline keyboard
+     * and onAction(action) which returns { render: true } or chosen { value, text }
+     * @param {Function} cb - callback with chosen value
+     * @return {Function} - function which closes the picker, onCancel is called with the reason
+     * @private
+     */
+    _openPicker(chatId, data, view, cb) {
+        let text = data.text || view.text;
+        let options = omit(data.options, 'reply_markup');
+        let prefix = this._addInlineHandler(($, action) => onButton($, action));
+        let timeout = data.timeout !== undefined ? data.timeout : 60 * 60 * 1000;
+        let message = null;
+        let closed = false;
+        let timer = null;
+
+        let getKeyboard = () => {
+            let keyboard = view.render(prefix);
+
+            forEach(data.actions, (action, i) => {
+                keyboard.push([{ text: action.text, callback_data: prefix + 'action:' + i }]);
+            });
+
+            data.cancelText && keyboard.push([{ text: data.cancelText, callback_data: prefix + 'cancel' }]);
+
+            return keyboard;
+        };
+
+        // value is chosen or picker is cancelled, so its buttons are removed
+        let finish = (resultText) => {
+            closed = true;
+            clearTimeout(timer);
+            this._removeInlineHandler(prefix);
+
+            if (!message) {
+                return Promise.resolve();
+            }
+
+            return (resultText ?
+                this.editChatMessageText(chatId, message.message_id, text + ' ' + resultText, options) :
+                this.editChatMessageReplyMarkup(chatId, message.message_id, { inline_keyboard: [] })
+            ).catch((err) => this._handleError(err));
+        };
+
+        let close = (reason) => {
+            if (closed) {
+                return;
+            }
+
+            finish();
+            data.onCancel && data.onCancel(reason);
+        };
+
+        let onButton = ($, action) => {
+            if (closed || $.chatId !== chatId || get($.message, 'message_id') !== get(message, 'message_id')) {
+                return $.answer();
+            }
+
+            let actionIndex = action.match(/^action:(\d+)$/);
+            let results = [$.answer()];
+
+            resetTimer();
+
+            if (action === 'cancel') {
+                close('cancel');
+            } else if (actionIndex && data.actions[+actionIndex[1]]) {
+                finish();
+                results.push(data.actions[+actionIndex[1]].callback());
+            } else if (action !== 'noop') {
+                let res = view.onAction(action);
+
+                if (res && res.render) {
+                    results.push(this.editChatMessageReplyMarkup(chatId, message.message_id, {
+                        inline_keyboard: getKeyboard()
+                    }));
+                } else if (res) {
+                    results.push(finish(res.text));
+                    results.push(cb(res.value));
+                }
+            }
+
+            return Promise.all(results);
+        };
+
+        // picker expires after inactivity, so its handler is not kept forever
+        let resetTimer = () => {
+            clearTimeout(timer);
+
+            if (!timeout) {
+                return;
+            }
+
+            timer = setTimeout(() => {
+                if (isFunction(data.onTimeout)) {
+                    data.onTimeout(chatId);
+                } else if (data.onTimeout) {
+                    this.sendMessage(chatId, data.onTimeout).catch((err) => this._handleError(err));
+                }
+
+                close('timeout');
+            }, timeout);
+            timer.unref && timer.unref();
+        };
+
+        resetTimer();
+
+        this.sendMessage(chatId, text, assign({}, options, {
+            reply_markup: { inline_keyboard: getKeyboard() }
+        })).then((res) => {
+            message = res;
+            closed && finish();
+        }, (err) => {
+            close('error');
+            this._handleError(err);
+        });
+
+        // the choice comes in the next update of the chat, so it should not wait for the current handler
+        this._releaseChat(chatId);
+
+        return close;
+    }
+
+    /**
+     * Format answer of form for review
+     * @param {*} value - text, location, contact or other value
+     * @return {String}
+     * @private
+     */
+    _formatFormValue(value) {
+        if (value && value.latitude !== undefined) {
+            return value.latitude + ', ' + value.longitude;
+        }
+
+        if (value && value.phone_number) {
+            return value.phone_number;
+        }
+
+        return isPlainObject(value) || isArray(value) ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Get the current scene of the chat
+     * @param {Object} scope - scope
+     * @return {Scene|null}
+     * @private
+     */
+    _getCurrentScene(scope) {
+        return scope.scene && scope.scene.current && this._scenes[scope.scene.current] || null;
+    }
+
+    /**
+     * Get registry of handlers for the value: the current scene, if it has matched handler, or the bot
+     * @param {Object} scope - scope
+     * @param {String} value - text or callback data
+     * @param {String} all - name of handler for all values
+     * @param {String} exact - name of handlers by exact values
+     * @param {String} regexps - name of regexp handlers
+     * @return {Object}
+     * @private
+     */
+    _getHandlersRegistry(scope, value, all, exact, regexps) {
+        let scene = this._getCurrentScene(scope);
+
+        if (scene && (scene[all] || scene[exact].hasOwnProperty(value) || find(scene[regexps], (item) => {
+            return value.match(item.regexp);
+        }))) {
+            return scene;
+        }
+
+        return this;
+    }
+
+    /**
+     * Add onCancel handler to menu or form data which rejects promise
+     * @param {Object} data - menu or form data
+     * @param {Function} reject - reject function of promise
+     * @return {Object}
+     * @private
+     */
+    _rejectOnCancel(data, reject) {
+        return assign({}, data, {
+            onCancel: function (reason) {
+                data.onCancel && data.onCancel.apply(null, arguments);
+                reject(new errors.WaitCancelledError(reason));
+            }
+        });
+    }
+
+    /**
+     * Handle error from handlers or middleware
+     * @param {Error} err - error
+     * @param {Object} scope - scope of update
+     * @private
+     */
+    _handleError(err, scope) {
+        // conversation was cancelled, it is not an error
+        if (err instanceof errors.WaitCancelledError) {
+            return;
+        }
+
+        // the same error can be received from scope function and from handler which awaits it
+        if (err && typeof err === 'object') {
+            if (this._handledErrors.has(err)) {
+                return;
+            }
+
+            this._handledErrors.add(err);
+        }
+
+        if (!this._errorHandler) {
+            console.error(err);
+            return;
+        }
+
+        try {
+            this._errorHandler(err, scope);
+        } catch (handlerErr) {
+            console.error(handlerErr);
+        }
+    }
+
+    /**
+     * Check if the text is a command
+     * @param {String} text - text message
+     * @private
+     */
+    _isCommand(text) {
+        if (!text) return;
+        return text.indexOf('/') === 0;
+    }
+
+    /**
+     * Check if the text is a command for cancelling of waiting for message
+     * @param {String} text - text message
+     * @return {Boolean}
+     * @private
+     */
+    _isCancelCommand(text) {
+        let commands = this._options.cancelCommand;
+
+        if (!text || !commands) {
+            return false;
+        }
+
+        return includes(isArray(commands) ? commands : [commands], text.trim());
+    }
+
+    /**
+     * Remove waiting callback of the chat without notification
+     * @param {Number|String} chatId - unique identifier of the chat
+     * @private
+     */
+    _clearWait(chatId) {
+        let wait = this._waitingCallbacks[chatId];
+
+        if (wait) {
+            clearTimeout(wait.timer);
+            delete this._waitingCallbacks[chatId];
+        }
+    }
+
+    /**
+     * Cancel waiting by timeout and notify the user
+     * @param {Number|String} chatId - unique identifier of the chat
+     * @param {Object} wait - waiting callback
+     * @private
+     */
+    _timeoutWait(chatId, wait) {
+        if (wait !== this._waitingCallbacks[chatId]) {
+            return;
+        }
+
+        let onTimeout = wait.onTimeout || this._options.onTimeout;
+
+        if (isFunction(onTimeout)) {
+            onTimeout(chatId, wait);
+        } else if (onTimeout) {
+            this.sendMessage(chatId, onTimeout, { reply_markup: { remove_keyboard: true } })
+                .catch((err) => this._handleError(err));
+        }
+
+        this.cancelWait(chatId, 'timeout');
+    }
+
+    /**
+     * Check if the chat of the message has allowed type
+     * @param {String|String[]} [chatType] - allowed types of chats, all types are allowed if it is not specified
+     * @param {Object} [message] - message from telegram
+     * @return {Boolean}
+     * @private
+     */
+    _isChatTypeAllowed(chatType, message) {
+        if (!chatType) {
+            return true;
+        }
+
+        return includes(isArray(chatType) ? chatType : [chatType], get(message, 'chat.type'));
+    }
+
+    /**
+     * Wrap handler for checking type of chat before execution
+     * @param {Function} cb - handler
+     * @param {Object} [options] - chatType: type or list of types of chats
+     * @return {Function}
+     * @private
+     */
+    _filterChatType(cb, options) {
+        if (!options || !options.chatType) {
+            return cb;
+        }
+
+        return (scope, match) => {
+            if (this._isChatTypeAllowed(options.chatType, scope.message)) {
+                return cb(scope, match);
+            }
+        };
+    }
+
+    /**
+     * Check if the message is addressed to the bot: it is a private message,
+     * the bot is mentioned in it or it is a reply to the message of the bot
+     * @param {Object} message - message from telegram
+     * @return {Boolean}
+     * @private
+     */
+    _isAddressedToBot(message) {
+        let chatType = get(message, 'chat.type');
+
+        if (chatType !== 'group' && chatType !== 'supergroup') {
+            return true;
+        }
+
+        if (!this._me) {
+            return false;
+        }
+
+        let mention = '@' + this._me.username.toLowerCase();
+        let text = message.text || message.caption || '';
+        let entities = message.entities || message.caption_entities || [];
+        // username of the bot can be a part of another username: @bot and @bot_fan
+        let isMentioned = entities.some((entity) => {
+            return entity.type === 'mention' &&
+                text.substr(entity.offset, entity.length).toLowerCase() === mention;
+        });
+
+        return get(message, 'reply_to_message.from.id') === this._me.id || isMentioned ||
+            Boolean(find(entities, { type: 'text_mention', user: { id: this._me.id } }));
+    }
+
+    /**
+     * Create scope for command
+     * @param {Object} message - message from telegram
+     * @return {Object}
+     * @private
+     */
+    _createScope(update) {
+        let msgObject, chatId, user;
+        let scope = {};
+
+        scope.updateType = this._getUpdateType(update);
+
+        if (includes(MESSAGE_UPDATES, scope.updateType)) {
+            let message = update[scope.updateType];
+
+            scope.chatId = get(message, 'chat.id') || get(message, 'from.id');
+            scope.user = message.from;
+            scope.message = message;
+            scope.goTo = (command) => {
+                this.cancelWait(scope.chatId, 'goTo');
+                scope.message.text = command;
+                this._processMessage(scope);
+            };
+        } else if (update.callback_query) {
+            scope.chatId = get(update.callback_query, 'message.chat.id') || get(update.callback_query, 'message.from.id');
+            scope.user = update.callback_query.from;
+            scope.message = update.callback_query.message;
+            scope.answer = this.answerCallbackQuery.bind(this, update.callback_query.id);
+            scope.data = update.callback_query.data;
+            scope.clearCallback = () => {
+                delete this._callbackQueriesCallbacks[scope.user.id + ':' + scope.data];
+            };
+            scope.goTo = (command) => {
+                this.cancelWait(scope.chatId, 'goTo');
+                scope.message = { text: command };
+                this._processMessage(scope);
+            };
+        } else if (update.inline_query) {
+            scope.user = update.inline_query.from;
+            scope.inlineQuery = update.inline_query;
+            scope.query = update.inline_query.query;
+            scope.offset = update.inline_query.offset;
+            scope.answer = this.answerInlineQuery.bind(this, update.inline_query.id);
+            scope.answerPage = (results, options) => {
+                options = assign({}, options);
+
+                let page = this.paginateInlineResults(results, scope.offset, options.pageSize);
+
+                delete options.pageSize;
+                options.next_offset = page.nextOffset;
+
+                return scope.answer(page.results, options);
+            };
+        } else if (update.chosen_inline_result) {
+            scope.user = update.chosen_inline_result.from;
+            scope.chosenInlineResult = update.chosen_inline_result;
+            scope.resultId = update.chosen_inline_result.result_id;
+            scope.query = update.chosen_inline_result.query;
+            scope.inlineMessageId = update.chosen_inline_result.inline_message_id;
+        }
+
+        if (scope.chatId) {
+            scope.scene = {
+                current: null,
+                state: {},
+                enter: (name, state) => this._enterScene(scope, name, state),
+                leave: () => this._leaveScene(scope)
+            };
+        }
+
+        this._scopeFunctions.forEach((func) => {
+            scope[func] = this._bindScopeFunction(func, scope);
+        });
+
+        scope.downloadFile = (destDir) => this._withMessageFile(scope.message, (fileId) => {
+            return this.downloadFile(fileId, destDir);
+        });
+        scope.getFileStream = () => this._withMessageFile(scope.message, (fileId) => {
+            return this.getFileStream(fileId);
+        });
+
+        return scope;
+    }
+
+    /**
+     * Find file in message (the biggest photo, document, voice, etc.) and execute action with its id
+     * @param {Object} message - message from telegram
+     * @param {Function} action - action with file id, should return promise
+     * @return {Promise}
+     * @private
+     */
+    _withMessageFile(message, action) {
+        let file = message && (
+            (message.photo && message.photo[message.photo.length - 1]) ||
+            message.document || message.audio || message.video || message.voice ||
+            message.video_note || message.sticker
+        );
+
+        if (!file) {
+            return Promise.reject(new Error('Message has no file'));
+        }
+
+        return action(file.file_id);
+    }
+
+    /**
+     * Get kind of update
+     * @param {Object} update - update from telegram
+     * @return {String} - message, edited_message, callback_query, etc.
+     * @private
+     */
+    _getUpdateType(update) {
+        return find(Object.keys(update), (key) => key !== 'update_id');
+    }
+
+    /**
+     * Get key for ordering of update processing: identifier of the chat or the user for inline queries
+     * @param {Object} update - update from telegram
+     * @return {Number|undefined}
+     * @private
+     */
+    _getUpdateChatKey(update) {
+        let data = update[this._getUpdateType(update)] || {};
+
+        return get(data, 'chat.id') || get(data, 'message.chat.id') || get(data, 'from.id');
+    }
+
+    /**
+     * Get kinds of updates which the bot should receive
+     * @return {String[]}
+     * @private
+     */
+    _getAllowedUpdates() {
+        if (this._options.allowedUpdates) {
+            return this._options.allowedUpdates;
+        }
+
+        let updates = ['message', 'callback_query'].concat(this._messageUpdates);
+
+        forEach(this._updateKindCallbacks, (callbacks, kind) => {
+            if (callbacks.all || callbacks.regexps.length || Object.keys(callbacks.texts).length) {
+                updates.push(kind);
+            }
+        });
+
+        if (this._onAllInlineQueries || this._inlineQueriesRegexpCallbacks.length ||
+            Object.keys(this._inlineQueriesCallbacks).length) {
+            updates.push('inline_query');
+        }
+
+        this._onChosenInlineResult && updates.push('chosen_inline_result');
+
+        return uniq(updates);
+    }
+
+    /**
+     * Bind function to chat of the scope, errors of returned promise which is not used by the handler
+     * are passed to error handler
+     * @param {String} func - name of the function
+     * @param {Object} scope - scope
+     * @return {Function}
+     * @private
+     */
+    _bindScopeFunction(func, scope) {
+        let fn = this[func].bind(this, scope.chatId);
+
+        let waits = includes(this._waitFunctions, func);
+
+        return function () {
+            let result = fn.apply(null, arguments);
+
+            // handler continues after updates which were processed while it waited
+            if (waits && result && isFunction(result.then)) {
+                result = result.then((value) => this._resumeScope(scope).then(() => value), (err) => {
+                    return this._resumeScope(scope).then(() => {
+                        throw err;
+                    });
+                });
+            }
+
+            if (result && isFunction(result.then)) {
+                let then = result.then;
+                let used = false;
+
+                // promise which is used by the handler is handled by it or rejects its chain,
+                // so only errors of calls which are not awaited are reported here
+                result.then = function () {
+                    used = true;
+
+                    return then.apply(this, arguments);
+                };
+
+                then.call(result, null, (err) => used || this._handleError(err, scope));
+            }
+
+            return result;
+        }.bind(this);
+    }
+
+    /**
+     * Process update of any kind
+     * @param {Object} update - update from telegram
+     * @param {Object} scope - created scope from update
+     * @private
+     */
+    _processUpdate(update, scope) {
+        if (includes(MESSAGE_UPDATES, scope.updateType)) {
+            let results = [];
+
+            if (includes(this._messageUpdates, scope.updateType)) {
+                results.push(this._processMessageTypes(scope));
+                results.push(this._processMessage(scope));
+            }
+
+            scope.updateType !== 'message' && results.push(this._processUpdateKind(scope));
+
+            return Promise.all(results);
+        } else if (update.callback_query) {
+            return this._processCallbackQuery(scope);
+        } else if (update.inline_query) {
+            return this._processInlineQuery(scope);
+        } else if (update.chosen_inline_result) {
+            return Promise.resolve(this._onChosenInlineResult && this._onChosenInlineResult(scope));
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Process incoming message
+     * @param {Object} message - message from telegram
+     * @return {Promise}
+     * @private
+     */
+    _processMessage(scope) {
+        let text = scope.message.text;
+        let results = [];
+
+        if (this._isCancelCommand(text) && this._waitingCallbacks[scope.chatId]) {
+            this.cancelWait(scope.chatId, 'cancel');
+
+            return Promise.resolve(this._options.cancelMessage && this.sendMessage(scope.chatId,
+                this._options.cancelMessage, { reply_markup: { remove_keyboard: true } }));
+        }
+
+        if (text) {
+            // process message as a command
+            if (this._isCommand(text)) {
+                let command = this._prepareCommand(text, scope.message, this._getCurrentScene(scope));
+
+                if (command && command.error) {
+                    command.usage !== false && results.push(this.sendMessage(scope.chatId,
+                        compact([command.error, command.usage && 'Usage: ' + command.usage]).join('\n')));
+                } else if (command) {
+                    scope.params = command.params;
+                    results.push(this._runMiddleware('command', scope, () => command.callback(scope)));
+                }
+            } else if (!this._options.mentionOnly || this._isAddressedToBot(scope.message)) {
+                results.push(this._runMiddleware('text', scope, () => this._processTextCommand(scope)));
+            }
+        }
+
+        // answers for waiting callbacks can't be edited messages
+        if (!this._isCommand(text) && !/^edited_/.test(scope.updateType)) {
+            let wait = this._waitingCallbacks[scope.chatId];
+
+            if (wait) {
+                clearTimeout(wait.timer);
+                results.push(wait.callback(scope));
+
+                if (wait === this._waitingCallbacks[scope.chatId]) {
+                    delete this._waitingCallbacks[scope.chatId];
+                }
+            }
+        }
+
+        return Promise.all(results);
+    }
+
+    /**
+     * Execute handlers for content types of incoming message
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _processMessageTypes(scope) {
+        let results = [];
+
+        forEach(MESSAGE_TYPES, (type) => {
+            let callbacks = this._messageTypeCallbacks[type];
+
+            if (callbacks && scope.message[type] !== undefined) {
+                callbacks.forEach((item) => results.push(item.callback(scope)));
+            }
+        });
+
+        return Promise.all(results);
+    }
+
+    /**
+     * Execute handlers registered for edited messages and channel posts
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _processUpdateKind(scope) {
+        let callbacks = this._updateKindCallbacks[scope.updateType];
+        let text = scope.message.text || scope.message.caption;
+
+        return text ?
+            this._executeMatchedHandlers(scope, text, callbacks.all, callbacks.texts, callbacks.regexps) :
+            Promise.resolve(callbacks.all && callbacks.all(scope));
+    }
+
+    /**
+     * Add handler for edited messages or channel posts
+     * @param {String} kind - kind of update
+     * @param {String|RegExp|Function} text - text, regexp or callback for all updates of this kind
+     * @param {Function} [cb] - callback
+     * @private
+     */
+    _addUpdateKindHandler(kind, text, cb) {
+        let callbacks = this._updateKindCallbacks[kind];
+
+        if (isFunction(text)) {
+            callbacks.all = text;
+        } else if (isRegExp(text)) {
+            callbacks.regexps.push({ regexp: text, callback: cb });
+        } else {
+            callbacks.texts[text] = cb;
+        }
+    }
+
+    /**
+     * Execute handlers matched by value: handler for all values, handlers for exact values and regexp handlers
+     * @param {Object} scope - scope
+     * @param {String} value - text, callback data or inline query
+     * @param {Function} all - handler for all values
+     * @param {Object} exact - handlers by exact values
+     * @param {Object[]} regexps - regexp handlers
+     * @return {Promise}
+     * @private
+     */
+    _executeMatchedHandlers(scope, value, all, exact, regexps) {
+        let results = [];
+
+        all && results.push(all(scope));
+        exact.hasOwnProperty(value) && results.push(exact[value](scope));
+
+        forEach(regexps, (item) => {
+            let match = value.match(item.regexp);
+            match && results.push(item.callback(scope, match));
+        });
+
+        return Promise.all(results);
+    }
+
+    /**
+     * Process incoming callback query from a callback button in an inline keyboard
+     * @param {Object} scope - scope
+     * @return {Promise}
+     * @private
+     */
+    _processCallbackQuery(scope) {
+        let prefix = isString(scope.data) && scope.data.match(/^~[0-9a-z]+:/);
+        let inlineHandler = prefix && this._inlineHandlers[prefix[0]];
+
+        if (inlineHandler) {
+            return Promise.resolve(inlineHandler(scope, scope.data.slice(prefix[0].length)));
+        }
 
-            if (waitingCallback) {
-                waitingCallback(scope);
+        let registry = this._getHandlersRegistry(scope, scope.data, '_onAllCallbackQueries',
+            '_callbackQueriesCallbacks', '_callbackQueriesRegexpCallbacks');
 
-                if (waitingCallback === this._waitingCallbacks[scope.chatId]) {
-                    delete this._waitingCallbacks[scope.chatId];
-                }
-            }
-        }
+        return this._executeMatchedHandlers(scope, scope.data, registry._onAllCallbackQueries,
+            registry._callbackQueriesCallbacks, registry._callbackQueriesRegexpCallbacks);
     }
 
     /**
-     * Process incoming callback query from a callback button in an inline keyboard
+     * Process incoming inline query
      * @param {Object} scope - scope
+     * @return {Promise}
      * @private
      */
-    _processCallbackQuery(scope) {
-        this._onAllCallbackQueries && this._onAllCallbackQueries(scope);
-        this._callbackQueriesCallbacks[scope.data] && this._callbackQueriesCallbacks[scope.data](scope);
-
-        if (this._callbackQueriesRegexpCallbacks.length) {
-            forEach(this._callbackQueriesRegexpCallbacks, (item) => {
-                let match = scope.data.match(item.regexp);
-                match && item.callback(scope, match);
-            });
-        }
+    _processInlineQuery(scope) {
+        return this._executeMatchedHandlers(scope, scope.query, this._onAllInlineQueries,
+            this._inlineQueriesCallbacks, this._inlineQueriesRegexpCallbacks);
     }
 
     /**
      * Process text commands
      * @param {Object} scope - scope
+     * @return {Promise}
      * @private
      */
     _processTextCommand(scope) {
-        let text = scope.message.text;
+        let registry = this._getHandlersRegistry(scope, scope.message.text, '_onAllText',
+            '_textCommands', '_textRegexpCommands');
 
-        this._onAllText && this._onAllText(scope);
-        this._textCommands[text] && this._textCommands[text](scope);
-
-        if (this._textRegexpCommands.length) {
-            forEach(this._textRegexpCommands, (item) => {
-                let match = text.match(item.regexp);
-                match && item.callback(scope, match);
-            });
-        }
+        return this._executeMatchedHandlers(scope, scope.message.text, registry._onAllText,
+            registry._textCommands, registry._textRegexpCommands);
     }
 
     /**
-     * Prepare command for usage
+     * Prepare command for usage, commands of the current scene have priority over global commands
      * @param {String} command - command string
+     * @param {Object} [message] - message with command, its entities are used for user mentions
+     * @param {Scene} [scene] - the current scene of the chat
      * @return {Object}
      * @private
      */
-    _prepareCommand(command) {
+    _prepareCommand(command, message, scene) {
+        let args = command.replace(/^\/\S*\s*/, '');
+
         command = command.replace('/', '');
 
         let parsedCommand = compact(command.split(' '));
-        let commandName = parsedCommand[0];
-        let existedCommand = this._commands[commandName];
+
+        // a single slash is not a command
+        if (!parsedCommand.length) {
+            return;
+        }
+
+        let commandName = parsedCommand[0].split('@')[0];
+        let botName = parsedCommand[0].split('@')[1];
+        let sceneCommand = scene && scene._commands[commandName];
+        let existedCommand = sceneCommand && this._isChatTypeAllowed(sceneCommand.chatType, message) ?
+            sceneCommand :
+            this._commands[commandName];
         let resCommand = {};
 
-        if (!existedCommand) {
+        // in groups command can be addressed to another bot: /start@OtherBot
+        if (botName && this._me && botName.toLowerCase() !== this._me.username.toLowerCase()) {
+            return;
+        }
+
+        if (!existedCommand || !this._isChatTypeAllowed(existedCommand.chatType, message)) {
             return;
         }
 
         resCommand.name = commandName;
         resCommand.callback = existedCommand.callback;
 
+        // If we have command with typed params
+        if (existedCommand.signature) {
+            let parsedArgs = commandParser.parseArgs(args, existedCommand.signature, {
+                entities: message && message.entities,
+                offset: command.length + 1 - args.length
+            });
+
+            resCommand.params = parsedArgs.params;
+            resCommand.error = parsedArgs.error;
+            resCommand.usage = existedCommand.usage;
+
+            return resCommand;
+        }
+
         // If we have masked command with query params
         if (existedCommand.params) {
             resCommand.params = {};
@@ -314,6 +1697,97 @@ class tgBot {
         return resCommand;
     }
 
+    /**
+     * Add handler for command to registry of the bot or scene
+     * @param {Object} registry - bot or scene
+     * @param {String} command - command string (/add or add:name:age or add <name> <age:int> [...note])
+     * @param {Function} cb - callback for command
+     * @param {Object} [options] - params: definitions of typed params ({ name, type, optional, default, rest }),
+     * usage: text for reply on invalid arguments or false to disable the reply,
+     * chatType: type or list of types of chats (private, group, supergroup, channel)
+     * @private
+     */
+    _addCommand(registry, command, cb, options) {
+        options = options || {};
+
+        if (this._isCommand(command)) {
+            command = command.replace('/', '');
+        }
+
+        // command with typed params: signature like "add <name> [age:int]" or params in options
+        if (options.params || commandParser.isSignature(command)) {
+            let signature = commandParser.parseSignature(command);
+            let params = options.params ? commandParser.checkParams(options.params) : signature.params;
+
+            registry._commands[signature.name] = {
+                callback: cb,
+                chatType: options.chatType,
+                signature: params,
+                usage: options.usage !== undefined ? options.usage : commandParser.getUsage(signature.name, params)
+            };
+
+            return;
+        }
+
+        let parsedCommand = command.replace(/\s/g, '').split(':');
+        let commandName = parsedCommand[0];
+        let params = parsedCommand.slice(1);
+
+        registry._commands[commandName] = {
+            callback: cb,
+            chatType: options.chatType,
+            params: params.length ? params : null
+        };
+    }
+
+    /**
+     * Add handler for text command to registry of the bot or scene
+     * @param {Object} registry - bot or scene
+     * @param {String} text - text or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     * @param {Object} [options] - chatType: type or list of types of chats (private, group, supergroup, channel)
+     * @private
+     */
+    _addText(registry, text, cb, options) {
+        if (isFunction(text)) {
+            registry._onAllText = this._filterChatType(text, cb);
+            return;
+        }
+
+        cb = this._filterChatType(cb, options);
+
+        if (isString(text) && this._isCommand(text)) {
+            throw new Error('Text should not begin with a slash!');
+        } else if (isRegExp(text)) {
+            registry._textRegexpCommands.push({ regexp: text, callback: cb });
+        } else {
+            registry._textCommands[text] = cb;
+        }
+    }
+
+    /**
+     * Add handler for callback queries to registry of the bot or scene
+     * @param {Object} registry - bot or scene
+     * @param {String} data - callback query data or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     * @param {Object} [options] - chatType: type or list of types of chats (private, group, supergroup, channel)
+     * @private
+     */
+    _addCallbackQuery(registry, data, cb, options) {
+        if (isFunction(data)) {
+            registry._onAllCallbackQueries = this._filterChatType(data, cb);
+            return;
+        }
+
+        cb = this._filterChatType(cb, options);
+
+        if (isRegExp(data)) {
+            registry._callbackQueriesRegexpCallbacks.push({ regexp: data, callback: cb });
+        } else {
+            registry._callbackQueriesCallbacks[data] = cb;
+        }
+    }
+
     /**
      * Prepare options for message
      * @param {Object} options - additional options for message
@@ -327,6 +1801,8 @@ class tgBot {
         forEach(options, (option, key) => {
             if (key === 'reply_markup') {
                 option = option ? JSON.stringify(option) : '';
+            } else if (key === 'allowed_updates') {
+                option = JSON.stringify(option);
             }
 
             options[key] = option;
@@ -337,6 +1813,41 @@ class tgBot {
         return options;
     }
 
+    /**
+     * Get info about a file and check that it can be downloaded
+     * @param {String} fileId - file identifier
+     * @return {Promise}
+     * @private
+     */
+    _getDownloadableFile(fileId) {
+        let tooBig = () => new Error('File is too big, bots can download files of up to ' +
+            (MAX_DOWNLOAD_SIZE / 1024 / 1024) + ' MB in size');
+
+        return this.getFile(fileId).then((file) => {
+            if (file.file_size > MAX_DOWNLOAD_SIZE) {
+                throw tooBig();
+            }
+
+            return file;
+        }, (err) => {
+            throw /file is too big/i.test(err && (err.message || err)) ? tooBig() : err;
+        });
+    }
+
+    /**
+     * Request file content by file info from getFile
+     * @param {Object} file - file info
+     * @return {Promise}
+     * @private
+     */
+    _requestFileStream(file) {
+        if (!isFunction(this._transport.download)) {
+            return Promise.reject(new Error('Transport does not support downloading of files'));
+        }
+
+        return new Promise((resolve) => resolve(this._transport.download(file.file_path)));
+    }
+
     /* API methods */
 
     /**
@@ -430,83 +1941,281 @@ class tgBot {
     }
 
     /**
-     * Send point on the map
+     * Send point on the map
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Float} latitude - latitude of location
+     * @param {Float} longitude - longitude of location
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendlocation
+     */
+    sendLocation(chatId, latitude, longitude, options) {
+        return this._api('sendLocation', this._prepareOptions(options, {
+            chat_id: chatId,
+            latitude: latitude,
+            longitude: longitude
+        }));
+    }
+
+    /**
+     * Send point on the map with inline keyboard
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Float} latitude - latitude of location
+     * @param {Float} longitude - longitude of location
+     * @param {Object} keyboard - inline keyboard
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendlocation
+     */
+    sendLocationWithInlineKeyboard(chatId, latitude, longitude, keyboard, options) {
+        options = options || {};
+
+        options.reply_markup = {
+            inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
+        };
+
+        return this.sendLocation(chatId, latitude, longitude, options);
+    }
+
+    /**
+     * Send point on the map
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Float} latitude - latitude of location
+     * @param {Float} longitude - longitude of location
+     * @param {String} title - name of the venue
+     * @param {String} address - address of the venue
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendvenue
+     */
+    sendVenue(chatId, latitude, longitude, title, address, options) {
+        return this._api('sendVenue', this._prepareOptions(options, {
+            chat_id: chatId,
+            latitude: latitude,
+            longitude: longitude,
+            title: title,
+            address: address
+        }));
+    }
+
+    /**
+     * Send point on the map with inline keyboard
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Float} latitude - latitude of location
+     * @param {Float} longitude - longitude of location
+     * @param {String} title - name of the venue
+     * @param {String} address - address of the venue
+     * @param {Object} keyboard - inline keyboard
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendvenue
+     */
+    sendVenueWithInlineKeyboard(chatId, latitude, longitude, title, address, keyboard, options) {
+        options = options || {};
+
+        options.reply_markup = {
+            inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
+        };
+
+        return this.sendVenue(chatId, latitude, longitude, title, address, options);
+    }
+
+    /**
+     * Send photo
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} photo - photo to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendphoto
+     */
+    sendPhoto(chatId, photo, options) {
+        return this._sendFile('sendPhoto', 'photo', chatId, photo, options);
+    }
+
+    /**
+     * Send photo with inline keyboard
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} photo - photo to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} keyboard - inline keyboard
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendphoto
+     */
+    sendPhotoWithInlineKeyboard(chatId, photo, keyboard, options) {
+        options = options || {};
+
+        options.reply_markup = {
+            inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
+        };
+
+        return this.sendPhoto(chatId, photo, options);
+    }
+
+    /**
+     * Send general file
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} document - file to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#senddocument
+     */
+    sendDocument(chatId, document, options) {
+        return this._sendFile('sendDocument', 'document', chatId, document, options);
+    }
+
+    /**
+     * Send general file with inline keyboard
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} document - file to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} keyboard - inline keyboard
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#senddocument
+     */
+    sendDocumentWithInlineKeyboard(chatId, document, keyboard, options) {
+        options = options || {};
+
+        options.reply_markup = {
+            inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
+        };
+
+        return this.sendDocument(chatId, document, options);
+    }
+
+    /**
+     * Send audio file to display it in the music player
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} audio - audio file to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendaudio
+     */
+    sendAudio(chatId, audio, options) {
+        return this._sendFile('sendAudio', 'audio', chatId, audio, options);
+    }
+
+    /**
+     * Send audio file to display it in the music player with inline keyboard
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} audio - audio file to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} keyboard - inline keyboard
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendaudio
+     */
+    sendAudioWithInlineKeyboard(chatId, audio, keyboard, options) {
+        options = options || {};
+
+        options.reply_markup = {
+            inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
+        };
+
+        return this.sendAudio(chatId, audio, options);
+    }
+
+    /**
+     * Send video file
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} video - video to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendvideo
+     */
+    sendVideo(chatId, video, options) {
+        return this._sendFile('sendVideo', 'video', chatId, video, options);
+    }
+
+    /**
+     * Send video file with inline keyboard
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String|Buffer|Stream|Object} video - video to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
+     * @param {Object} keyboard - inline keyboard
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#sendvideo
+     */
+    sendVideoWithInlineKeyboard(chatId, video, keyboard, options) {
+        options = options || {};
+
+        options.reply_markup = {
+            inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
+        };
+
+        return this.sendVideo(chatId, video, options);
+    }
+
+    /**
+     * Send audio file to display it as a playable voice message
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Float} latitude - latitude of location
-     * @param {Float} longitude - longitude of location
+     * @param {String|Buffer|Stream|Object} voice - audio file to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
      * @param {Object} [options] - additional telegram query options
      * @return {Promise}
-     * @see https://core.telegram.org/bots/api#sendlocation
+     * @see https://core.telegram.org/bots/api#sendvoice
      */
-    sendLocation(chatId, latitude, longitude, options) {
-        return this._api('sendLocation', this._prepareOptions(options, {
-            chat_id: chatId,
-            latitude: latitude,
-            longitude: longitude
-        }));
+    sendVoice(chatId, voice, options) {
+        return this._sendFile('sendVoice', 'voice', chatId, voice, options);
     }
 
     /**
-     * Send point on the map with inline keyboard
+     * Send audio file to display it as a playable voice message with inline keyboard
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Float} latitude - latitude of location
-     * @param {Float} longitude - longitude of location
+     * @param {String|Buffer|Stream|Object} voice - audio file to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
      * @param {Object} keyboard - inline keyboard
      * @param {Object} [options] - additional telegram query options
      * @return {Promise}
-     * @see https://core.telegram.org/bots/api#sendlocation
+     * @see https://core.telegram.org/bots/api#sendvoice
      */
-    sendLocationWithInlineKeyboard(chatId, latitude, longitude, keyboard, options) {
+    sendVoiceWithInlineKeyboard(chatId, voice, keyboard, options) {
         options = options || {};
 
         options.reply_markup = {
             inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
         };
 
-        return this.sendLocation(chatId, latitude, longitude, options);
+        return this.sendVoice(chatId, voice, options);
     }
 
     /**
-     * Send point on the map
+     * Send .webp sticker
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Float} latitude - latitude of location
-     * @param {Float} longitude - longitude of location
-     * @param {String} title - name of the venue
-     * @param {String} address - address of the venue
+     * @param {String|Buffer|Stream|Object} sticker - sticker to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
      * @param {Object} [options] - additional telegram query options
      * @return {Promise}
-     * @see https://core.telegram.org/bots/api#sendvenue
+     * @see https://core.telegram.org/bots/api#sendsticker
      */
-    sendVenue(chatId, latitude, longitude, title, address, options) {
-        return this._api('sendVenue', this._prepareOptions(options, {
-            chat_id: chatId,
-            latitude: latitude,
-            longitude: longitude,
-            title: title,
-            address: address
-        }));
+    sendSticker(chatId, sticker, options) {
+        return this._sendFile('sendSticker', 'sticker', chatId, sticker, options);
     }
 
     /**
-     * Send point on the map with inline keyboard
+     * Send .webp sticker with inline keyboard
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Float} latitude - latitude of location
-     * @param {Float} longitude - longitude of location
-     * @param {String} title - name of the venue
-     * @param {String} address - address of the venue
+     * @param {String|Buffer|Stream|Object} sticker - sticker to send: file_id, url, buffer, stream
+     * or local file as { source: path }, string is never read from disk
      * @param {Object} keyboard - inline keyboard
      * @param {Object} [options] - additional telegram query options
      * @return {Promise}
-     * @see https://core.telegram.org/bots/api#sendvenue
+     * @see https://core.telegram.org/bots/api#sendsticker
      */
-    sendVenueWithInlineKeyboard(chatId, latitude, longitude, title, address, keyboard, options) {
+    sendStickerWithInlineKeyboard(chatId, sticker, keyboard, options) {
         options = options || {};
 
         options.reply_markup = {
             inline_keyboard: this.buildInlineKeyboard(chatId, keyboard)
         };
 
-        return this.sendVenue(chatId, latitude, longitude, title, address, options);
+        return this.sendSticker(chatId, sticker, options);
     }
 
     /**
@@ -693,6 +2402,49 @@ class tgBot {
         });
     }
 
+    /**
+     * Get link for downloading a file, the link is valid for at least 1 hour
+     * @param {String} fileId - file identifier
+     * @return {Promise}
+     */
+    getFileLink(fileId) {
+        return this._getDownloadableFile(fileId).then((file) => this._fileUrl + file.file_path);
+    }
+
+    /**
+     * Get readable stream of file content
+     * @param {String} fileId - file identifier
+     * @return {Promise}
+     */
+    getFileStream(fileId) {
+        return this._getDownloadableFile(fileId).then((file) => this._requestFileStream(file));
+    }
+
+    /**
+     * Download file to directory, the file name is the file identifier with original extension
+     * @param {String} fileId - file identifier
+     * @param {String} [destDir] - destination directory, tmp directory by default
+     * @return {Promise} - path to downloaded file
+     */
+    downloadFile(fileId, destDir) {
+        destDir = destDir || this._tmpDir;
+
+        return this._getDownloadableFile(fileId).then((file) => {
+            let filePath = path.join(destDir, fileId + path.extname(file.file_path || ''));
+
+            return this._requestFileStream(file).then((stream) => {
+                return new Promise((resolve, reject) => {
+                    let out = fs.createWriteStream(filePath);
+
+                    out.on('finish', () => resolve(filePath));
+                    out.on('error', reject);
+                    stream.on('error', reject);
+                    stream.pipe(out);
+                });
+            });
+        });
+    }
+
     /**
      * Get a list of profile pictures for a user
      * @param {Number} userId - unique identifier of the target user
@@ -724,61 +2476,434 @@ class tgBot {
         }));
     }
 
+    /**
+     * Specify a url and receive incoming updates via an outgoing webhook
+     * @param {String} url - https url to send updates to
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#setwebhook
+     */
+    setWebhook(url, options) {
+        return this._api('setWebhook', this._prepareOptions(options, {
+            url: url
+        }));
+    }
+
+    /**
+     * Remove webhook integration to switch back to getUpdates
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#deletewebhook
+     */
+    deleteWebhook(options) {
+        return this._api('deleteWebhook', this._prepareOptions(options));
+    }
+
+    /**
+     * Get current webhook status
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#getwebhookinfo
+     */
+    getWebhookInfo() {
+        return this._api('getWebhookInfo');
+    }
+
+    /**
+     * Send answers to an inline query
+     * @param {String} inlineQueryId - unique identifier for the answered query
+     * @param {Object[]} results - array of results for the inline query
+     * @param {Object} [options] - additional telegram query options
+     * @return {Promise}
+     * @see https://core.telegram.org/bots/api#answerinlinequery
+     */
+    answerInlineQuery(inlineQueryId, results, options) {
+        return this._api('answerInlineQuery', this._prepareOptions(options, {
+            inline_query_id: inlineQueryId,
+            results: JSON.stringify(results)
+        }));
+    }
+
     /* Additional methods */
 
     /**
-     * Add handler for command
-     * @param {String} command - command string (/add or add or add new user)
-     * @param {Function} cb - callback for command
+     * Start receiving updates: long polling or webhook, if options.webhook is specified
+     * @return {Promise}
+     */
+    start() {
+        if (this._running) {
+            return this._starting || Promise.resolve();
+        }
+
+        this._running = true;
+        this._starting = Promise.all([this._loadMe(), this._loadOffset()]).then(() => {
+            if (!this._running) {
+                return;
+            }
+
+            return this._options.webhook ? this._initWebhook(this._options.webhook) : this._initPolling();
+        });
+
+        return this._starting;
+    }
+
+    /**
+     * Stop receiving updates: cancel long polling request and acknowledge received updates
+     * or stop own webhook server, pending waits are cancelled and running handlers are awaited
+     * @param {Object} [options] - timeout: max time in ms to wait for running handlers, 10 seconds by default
+     * @return {Promise}
+     */
+    stop(options) {
+        options = options || {};
+
+        if (!this._running) {
+            return Promise.resolve();
+        }
+
+        let polling = this._polling && this._polling.active ? this._polling : null;
+        let timeout = options.timeout !== undefined ? options.timeout : 10 * 1000;
+        let ack = Promise.resolve();
+
+        this._running = false;
+        this._starting = null;
+        this._stopPolling();
+
+        // new request with offset confirms received updates and terminates the long polling request in flight
+        if (polling) {
+            ack = this._api('getUpdates', { offset: polling.offset, timeout: 0, limit: 1 }).catch(() => {});
+        }
+
+        Object.keys(this._waitingCallbacks).forEach((chatId) => this.cancelWait(chatId, 'stop'));
+
+        let processing = Promise.all(Array.from(this._processing));
+        let timer;
+        let waitForHandlers = Promise.race([processing, new Promise((resolve) => {
+            timer = setTimeout(resolve, timeout);
+        })]).then(() => clearTimeout(timer));
+
+        return Promise.all([ack, this._stopWebhook(), waitForHandlers]).then(() => {});
+    }
+
+    /**
+     * Switch to long polling mode, webhook will be removed
+     * @return {Promise}
+     */
+    startPolling() {
+        if (this._polling && this._polling.active) {
+            return Promise.resolve();
+        }
+
+        this._running = true;
+
+        return this._stopWebhook()
+            .then(() => this.deleteWebhook())
+            .then(() => this._initPolling());
+    }
+
+    /**
+     * Switch to webhook mode, polling will be stopped
+     * @param {Object} options - webhook options: url, path, port, host, key, cert, ca, secretToken, maxConnections
+     * @return {Promise}
+     */
+    startWebhook(options) {
+        this._running = true;
+        this._stopPolling();
+
+        return this._stopWebhook().then(() => this._initWebhook(options || this._options.webhook || {}));
+    }
+
+    /**
+     * Create request handler for webhook, it can be used in own http server or as express middleware
+     * @return {Function}
+     */
+    webhookCallback() {
+        return (req, res, next) => {
+            let options = (this._webhook && this._webhook.options) || this._options.webhook || {};
+            let path = (req.originalUrl || req.url || '').split('?')[0];
+            let reply = (code) => {
+                res.statusCode = code;
+                res.end();
+            };
+
+            if (req.method !== 'POST' || (options.path && path !== options.path)) {
+                return next ? next() : reply(404);
+            }
+
+            if (options.secretToken && req.headers['x-telegram-bot-api-secret-token'] !== options.secretToken) {
+                return reply(403);
+            }
+
+            let handle = (body) => {
+                let update = body;
+
+                if (isString(body) || Buffer.isBuffer(body)) {
+                    try {
+                        update = JSON.parse(body.toString('utf-8'));
+                    } catch (e) {
+                        return reply(400);
+                    }
+                }
+
+                reply(200);
+
+                if (update && update.update_id !== undefined) {
+                    this._handleUpdate(update).then(() => this._saveOffset(update.update_id));
+                }
+            };
+
+            // body can be already read by express or other framework
+            if (req.body) {
+                return handle(req.body);
+            }
+
+            let chunks = [];
+
+            req.on('data', (chunk) => chunks.push(chunk));
+            req.on('end', () => handle(Buffer.concat(chunks)));
+        };
+    }
+
+    /**
+     * Add handler for command
+     * @param {String} command - command string (/add or add:name:age or add <name> <age:int> [...note])
+     * @param {Function} cb - callback for command
+     * @param {Object} [options] - params: definitions of typed params ({ name, type, optional, default, rest }),
+     * usage: text for reply on invalid arguments or false to disable the reply,
+     * chatType: type or list of types of chats (private, group, supergroup, channel)
+     */
+    command(command, cb, options) {
+        this._addCommand(this, command, cb, options);
+    }
+
+    /**
+     * Add handler for text command
+     * @param {String} text - text or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     * @param {Object} [options] - chatType: type or list of types of chats (private, group, supergroup, channel)
+     */
+    text(text, cb, options) {
+        this._addText(this, text, cb, options);
+    }
+
+    /**
+     * Add handler for callback queries
+     * @param {String} data - callback query data or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     * @param {Object} [options] - chatType: type or list of types of chats (private, group, supergroup, channel)
+     */
+    callbackQuery(data, cb, options) {
+        this._addCallbackQuery(this, data, cb, options);
+    }
+
+    /**
+     * Get scene by name, it is created on the first call,
+     * handlers of the scene are active only while the chat is in the scene, global handlers are the fallback
+     * @param {String} name - name of the scene
+     * @return {Scene}
+     */
+    scene(name) {
+        if (!this._scenes[name]) {
+            this._scenes[name] = new Scene(name, this);
+        }
+
+        return this._scenes[name];
+    }
+
+    /**
+     * Add handler for messages with some content type or listener for event of the bot
+     * @param {String|String[]} type - content type: photo, location, contact, new_chat_member, etc.
+     * or event: polling_error, other types are not allowed
+     * @param {Function} cb - callback
+     * @param {Object} [options] - chatType: type or list of types of chats (private, group, supergroup, channel)
+     */
+    on(type, cb, options) {
+        if (isArray(type)) {
+            type.forEach((item) => this.on(item, cb, options));
+            return this;
+        }
+
+        if (!includes(MESSAGE_TYPES, type)) {
+            return super.on(this._checkEvent(type), cb);
+        }
+
+        this._addMessageTypeHandler(type, cb, this._filterChatType(cb, options));
+
+        return this;
+    }
+
+    /**
+     * Add handler which is executed only for the first message with content type or listener for one event
+     * @param {String|String[]} type - content type or event like in bot.on
+     * @param {Function} cb - callback
+     * @param {Object} [options] - chatType like in bot.on
+     */
+    once(type, cb, options) {
+        if (isArray(type)) {
+            type.forEach((item) => this.once(item, cb, options));
+            return this;
+        }
+
+        if (!includes(MESSAGE_TYPES, type)) {
+            return super.once(this._checkEvent(type), cb);
+        }
+
+        let filtered = this._filterChatType(cb, options);
+        let handler = (scope) => {
+            this.removeListener(type, cb);
+
+            return filtered(scope);
+        };
+
+        this._addMessageTypeHandler(type, cb, handler);
+
+        return this;
+    }
+
+    /**
+     * Remove handler of content type or listener of event
+     * @param {String} type - content type or event like in bot.on
+     * @param {Function} cb - callback which was added
+     */
+    removeListener(type, cb) {
+        if (!includes(MESSAGE_TYPES, type)) {
+            return super.removeListener(type, cb);
+        }
+
+        let callbacks = this._messageTypeCallbacks[type] || [];
+        let index = findLastIndex(callbacks, { listener: cb });
+
+        // new array is created, so handlers of the current message are still executed
+        index !== -1 && (this._messageTypeCallbacks[type] = callbacks.filter((item, i) => i !== index));
+
+        return this;
+    }
+
+    /**
+     * Alias of removeListener
+     * @param {String} type - content type or event like in bot.on
+     * @param {Function} cb - callback which was added
+     */
+    off(type, cb) {
+        return this.removeListener(type, cb);
+    }
+
+    /**
+     * Add handler to the list of content type
+     * @param {String} type - content type
+     * @param {Function} listener - callback which was passed to bot.on
+     * @param {Function} callback - callback with scope
+     * @private
+     */
+    _addMessageTypeHandler(type, listener, callback) {
+        this._messageTypeCallbacks[type] = (this._messageTypeCallbacks[type] || []).concat({
+            listener: listener,
+            callback: callback
+        });
+    }
+
+    /**
+     * Check that the type is a known event of the bot, so typo in content type is not a silent listener
+     * @param {String} type - event
+     * @return {String}
+     * @private
+     */
+    _checkEvent(type) {
+        // events of EventEmitter itself
+        if (!includes(BOT_EVENTS, type) && type !== 'newListener' && type !== 'removeListener') {
+            throw new Error('Unknown message type or event: ' + type);
+        }
+
+        return type;
+    }
+
+    /**
+     * Add handler for edited messages
+     * @param {String|RegExp} text - text of the message or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     */
+    editedMessage(text, cb) {
+        this._addUpdateKindHandler('edited_message', text, cb);
+    }
+
+    /**
+     * Add handler for new posts in channels
+     * @param {String|RegExp} text - text of the post or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     */
+    channelPost(text, cb) {
+        this._addUpdateKindHandler('channel_post', text, cb);
+    }
+
+    /**
+     * Add handler for edited posts in channels
+     * @param {String|RegExp} text - text of the post or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     */
+    editedChannelPost(text, cb) {
+        this._addUpdateKindHandler('edited_channel_post', text, cb);
+    }
+
+    /**
+     * Add handler for inline queries
+     * @param {String|RegExp} query - query text or callback, if function has only one parameter
+     * @param {Function} [cb] - callback
+     */
+    inlineQuery(query, cb) {
+        if (isFunction(query)) {
+            this._onAllInlineQueries = query;
+        } else if (isRegExp(query)) {
+            this._inlineQueriesRegexpCallbacks.push({ regexp: query, callback: cb });
+        } else {
+            this._inlineQueriesCallbacks[query] = cb;
+        }
+    }
+
+    /**
+     * Add handler for results of inline queries which were chosen by users
+     * @param {Function} cb - callback
+     */
+    chosenInlineResult(cb) {
+        this._onChosenInlineResult = cb;
+    }
+
+    /**
+     * Get page of inline query results by offset of the query
+     * @param {Object[]} results - all results
+     * @param {String} [offset] - offset from inline query
+     * @param {Number} [pageSize] - count of results on page, 50 by default
+     * @return {Object} - results of the page and offset for the next page
      */
-    command(command, cb) {
-        if (this._isCommand(command)) {
-            command = command.replace('/', '');
-        }
-
-        let parsedCommand = command.replace(/\s/g, '').split(':');
-        let commandName = parsedCommand[0];
-        let params = parsedCommand.slice(1);
+    paginateInlineResults(results, offset, pageSize) {
+        let start = parseInt(offset, 10) || 0;
+        let end = start + (pageSize || 50);
 
-        this._commands[commandName] = {
-            callback: cb,
-            params: params.length ? params : null
+        return {
+            results: results.slice(start, end),
+            nextOffset: end < results.length ? String(end) : ''
         };
     }
 
     /**
-     * Add handler for text command
-     * @param {String} text - text or callback, if function has only one parameter
-     * @param {Function} [cb] - callback
+     * Add middleware, it gets scope and next function which returns promise
+     * @param {String} [type] - kind of update (message, callback_query, etc.), command or text
+     * @param {Function} fn - middleware
      */
-    text(text, cb) {
-        if (isFunction(text)) {
-            this._onAllText = text;
-            return;
+    use(type, fn) {
+        if (isFunction(type)) {
+            fn = type;
+            type = null;
         }
 
-        if (isString(text) && this._isCommand(text)) {
-            throw new Error('Text should not begin with a slash!');
-        } else if (isRegExp(text)) {
-            this._textRegexpCommands.push({ regexp: text, callback: cb });
-        } else {
-            this._textCommands[text] = cb;
-        }
+        this._middleware.push({ type: type, fn: fn });
     }
 
     /**
-     * Add handler for callback queries
-     * @param {String} data - callback query data or callback, if function has only one parameter
-     * @param {Function} [cb] - callback
+     * Set handler for errors from handlers, middleware and api calls of scope,
+     * error of scope api call is passed only when the handler neither awaits nor returns its promise,
+     * otherwise it is passed when the handler rejects with it
+     * @param {Function} cb - callback with error and scope
      */
-    callbackQuery(data, cb) {
-        if (isFunction(data)) {
-            this._onAllCallbackQueries = data;
-        } else if (isRegExp(data)) {
-            this._callbackQueriesRegexpCallbacks.push({ regexp: data, callback: cb });
-        } else {
-            this._callbackQueriesCallbacks[data] = cb;
-        }
+    catch(cb) {
+        this._errorHandler = cb;
     }
 
     /**
@@ -786,7 +2911,7 @@ class tgBot {
      * @param {Function} cb - callback for execute command after some action
      */
     beforeUpdate(cb) {
-        this._beforeUpdate = cb;
+        this.use(this._wrapHook(cb));
     }
 
     /**
@@ -795,7 +2920,7 @@ class tgBot {
      */
     beforeCommand(cb) {
         // before command callback get two params: scope and next function
-        this._beforeCommand = cb;
+        this.use('command', this._wrapHook(cb));
     }
 
     /**
@@ -804,16 +2929,145 @@ class tgBot {
      */
     beforeText(cb) {
         // before text callback get two params: scope and next function
-        this._beforeText = cb;
+        this.use('text', this._wrapHook(cb));
     }
 
     /**
      * Wait for user answer message and execute callback when the message will be received
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Function} cb - callback
+     * @param {Function} [cb] - callback, if it is not specified, promise with scope of the message is returned,
+     * the promise is rejected with WaitCancelledError on timeout or cancellation
+     * @param {Object} [options] - timeout in ms, onTimeout function or message, onCancel function (reason: timeout,
+     * cancel, goTo, replaced by another wait of the chat, stop or error), type of wait
+     * @return {Promise|undefined}
+     */
+    waitForMessage(chatId, cb, options) {
+        if (!isFunction(cb)) {
+            options = options || cb || {};
+
+            return new Promise((resolve, reject) => {
+                this.waitForMessage(chatId, resolve, assign({}, options, {
+                    onCancel: (reason) => {
+                        options.onCancel && options.onCancel(reason);
+                        reject(new errors.WaitCancelledError(reason));
+                    }
+                }));
+            });
+        }
+
+        options = options || {};
+
+        let timeout = options.timeout !== undefined ? options.timeout : this._options.waitTimeout;
+        let wait = {
+            callback: cb,
+            type: options.type || 'message',
+            since: Date.now(),
+            timeout: timeout || null,
+            onTimeout: options.onTimeout,
+            onCancel: options.onCancel,
+            timer: null
+        };
+        let previous = this._waitingCallbacks[chatId];
+
+        this._clearWait(chatId);
+
+        // wait of another conversation is replaced, so it is cancelled, but form or menu can replace its own wait
+        if (previous && previous.onCancel && previous.onCancel !== wait.onCancel) {
+            previous.onCancel('replaced');
+        }
+
+        if (timeout) {
+            wait.timer = setTimeout(() => this._timeoutWait(chatId, wait), timeout);
+        }
+
+        this._waitingCallbacks[chatId] = wait;
+
+        // the answer comes in the next update of the chat, so it should not wait for the current handler
+        this._releaseChat(chatId);
+    }
+
+    /**
+     * Get info about pending waiting for message in the chat
+     * @param {Number|String} chatId - unique identifier of the chat
+     * @return {Object|null} - type of wait (message, ask, menu, form), start time and timeout
      */
-    waitForMessage(chatId, cb) {
-        this._waitingCallbacks[chatId] = cb;
+    getPendingWait(chatId) {
+        let wait = this._waitingCallbacks[chatId];
+
+        return wait ? { type: wait.type, since: wait.since, timeout: wait.timeout } : null;
+    }
+
+    /**
+     * Cancel pending waiting for message in the chat, form or menu will be notified about it
+     * @param {Number|String} chatId - unique identifier of the chat
+     * @param {String} [reason] - reason of cancellation
+     * @return {Boolean} - true if there was pending waiting
+     */
+    cancelWait(chatId, reason) {
+        let wait = this._waitingCallbacks[chatId];
+
+        if (!wait) {
+            return false;
+        }
+
+        this._clearWait(chatId);
+        wait.onCancel && wait.onCancel(reason || 'cancel');
+
+        return true;
+    }
+
+    /**
+     * Ask user a question and wait for valid answer, the question is asked again after invalid answer
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {String} question - text of the question
+     * @param {Object} [options] - keyboard, validate function with message, error text, timeout, onTimeout
+     * and telegram options
+     * @return {Promise} - scope of the answer message, it is rejected with WaitCancelledError on timeout
+     */
+    ask(chatId, question, options) {
+        options = options || {};
+
+        let messageOptions = assign({}, options.options);
+
+        if (options.keyboard) {
+            messageOptions.reply_markup = assign({
+                one_time_keyboard: true,
+                resize_keyboard: true,
+                keyboard: this.buildKeyboard(options.keyboard)
+            }, messageOptions.reply_markup);
+        }
+
+        // wait for answer before sending, so the answer can't be missed
+        let answer = this.waitForMessage(chatId, {
+            type: 'ask',
+            timeout: options.timeout,
+            onTimeout: options.onTimeout
+        });
+        let wait = this._waitingCallbacks[chatId];
+
+        // the answer is handled after sending, but the wait can be cancelled before it
+        answer.catch(() => {});
+
+        return this.sendMessage(chatId, question, assign({}, messageOptions))
+            .catch((err) => {
+                // nobody will answer the question which was not sent
+                wait === this._waitingCallbacks[chatId] && this._clearWait(chatId);
+                throw err;
+            })
+            .then(() => answer)
+            .then(($) => {
+                return Promise.resolve(options.validate ? options.validate($.message) : true).then((isValid) => {
+                    if (isValid) {
+                        return $;
+                    }
+
+                    let error = options.error ?
+                        this.sendMessage(chatId, options.error, { disable_web_page_preview: true }) :
+                        Promise.resolve();
+
+                    return error.then(() => this.ask(chatId, question, options));
+                });
+            });
     }
 
     /**
@@ -896,13 +3150,227 @@ class tgBot {
         return keyboard;
     }
 
+    /**
+     * Send the same message to many chats with safe rate, the result can be awaited for the summary:
+     * delivered chats, chats which blocked the bot, deactivated chats, migrated chats and failures
+     * @param {Array} chatIds - identifiers of chats
+     * @param {String|Object|Function} message - text, { method, args } for any send method
+     * (e.g. { method: 'sendPhoto', args: [fileId, { caption }] }) or function with chat id and bot
+     * which returns promise
+     * @param {Object} [options] - rate, concurrency, retries, retryDelay, state of interrupted broadcast
+     * @return {Broadcast} - emits progress, delivered, failed and done events, can be paused and resumed
+     */
+    broadcast(chatIds, message, options) {
+        let send;
+
+        if (isFunction(message)) {
+            send = (chatId) => message(chatId, this);
+        } else if (isString(message)) {
+            send = (chatId) => this.sendMessage(chatId, message);
+        } else {
+            send = (chatId) => {
+                // options are changed by api methods, so every chat gets own copy
+                let args = map(message.args, (arg) => isPlainObject(arg) ? cloneDeep(arg) : arg);
+
+                return this[message.method].apply(this, [chatId].concat(args));
+            };
+        }
+
+        return new Broadcast(chatIds, send, options);
+    }
+
+    /**
+     * Send list of items with inline buttons split into pages, navigation edits the same message
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Object} listData - data for list: items, pageSize (5 by default), render (text of item button),
+     * onSelect (callback with item, scope and index), text (string or function with page and count of pages),
+     * columns, closeOnSelect, timeout (ms of inactivity before the list expires, 1 hour by default), onClose
+     * (callback with reason: close, select or timeout), options and texts: emptyText, prevText, nextText, closeText
+     * @return {Promise} - list with sent message, current page, show(page) and close() methods
+     */
+    sendPaginatedList(chatId, listData) {
+        let items = listData.items || [];
+        let texts = assign({}, LIST_TEXTS, pick(listData, Object.keys(LIST_TEXTS)));
+        let pageSize = listData.pageSize || 5;
+        let pages = Math.max(1, Math.ceil(items.length / pageSize));
+        let render = listData.render || ((item) => String(item));
+        let timeout = listData.timeout !== undefined ? listData.timeout : 60 * 60 * 1000;
+        let prefix = this._addInlineHandler(($, action) => onButton($, action));
+        let timer = null;
+
+        let list = {
+            message: null,
+            page: 0,
+            closed: false,
+            show: (page) => show(page),
+            close: () => close('close')
+        };
+
+        let getText = (page) => {
+            if (!items.length) {
+                return texts.emptyText;
+            }
+
+            return isFunction(listData.text) ? listData.text(page, pages) : listData.text || texts.text;
+        };
+
+        let getKeyboard = (page) => {
+            let buttons = items.slice(page * pageSize, (page + 1) * pageSize).map((item, i) => {
+                let index = page * pageSize + i;
+
+                return { text: render(item, index), callback_data: prefix + 'item:' + index };
+            });
+            let keyboard = chunk(buttons, listData.columns || 1);
+
+            if (pages > 1) {
+                keyboard.push(compact([
+                    page > 0 && { text: texts.prevText, callback_data: prefix + 'page:' + (page - 1) },
+                    { text: (page + 1) + '/' + pages, callback_data: prefix + 'noop' },
+                    page < pages - 1 && { text: texts.nextText, callback_data: prefix + 'page:' + (page + 1) }
+                ]));
+            }
+
+            texts.closeText && keyboard.push([{ text: texts.closeText, callback_data: prefix + 'close' }]);
+
+            return keyboard;
+        };
+
+        let getOptions = (page) => {
+            return assign({}, listData.options, { reply_markup: { inline_keyboard: getKeyboard(page) } });
+        };
+
+        // list expires after inactivity, so its handler is not kept forever
+        let resetTimer = () => {
+            clearTimeout(timer);
+
+            if (timeout) {
+                timer = setTimeout(() => close('timeout'), timeout);
+                timer.unref && timer.unref();
+            }
+        };
+
+        let show = (page) => {
+            if (list.closed) {
+                return Promise.reject(new Error('List is closed'));
+            }
+
+            page = Math.min(Math.max(0, page), pages - 1);
+
+            if (page === list.page && list.message) {
+                return Promise.resolve(list);
+            }
+
+            list.page = page;
+            resetTimer();
+
+            return this.editChatMessageText(chatId, list.message.message_id, getText(page), getOptions(page))
+                .then(() => list);
+        };
+
+        let close = (reason) => {
+            if (list.closed) {
+                return Promise.resolve();
+            }
+
+            list.closed = true;
+            clearTimeout(timer);
+            this._removeInlineHandler(prefix);
+            listData.onClose && listData.onClose(reason);
+
+            // buttons of closed list are removed, old message can be already deleted or not editable
+            return list.message ? this.editChatMessageReplyMarkup(chatId, list.message.message_id, {
+                inline_keyboard: []
+            }).then(() => {}, (err) => this._handleError(err)) : Promise.resolve();
+        };
+
+        let onButton = ($, action) => {
+            if ($.chatId !== chatId || !list.message || get($.message, 'message_id') !== list.message.message_id) {
+                return $.answer();
+            }
+
+            let page = action.match(/^page:(\d+)$/);
+            let item = action.match(/^item:(\d+)$/);
+            let results = [$.answer()];
+
+            resetTimer();
+
+            if (page) {
+                results.push(show(+page[1]));
+            } else if (item && items[+item[1]] !== undefined) {
+                let index = +item[1];
+
+                results.push(listData.onSelect && listData.onSelect(items[index], $, index));
+                listData.closeOnSelect && results.push(close('select'));
+            } else if (action === 'close') {
+                results.push(close('close'));
+            }
+
+            return Promise.all(results);
+        };
+
+        return this.sendMessage(chatId, getText(0), getOptions(0)).then((message) => {
+            list.message = message;
+            resetTimer();
+
+            return list;
+        }, (err) => {
+            this._removeInlineHandler(prefix);
+            throw err;
+        });
+    }
+
+    /**
+     * Send inline calendar and wait for chosen date, months are switched by editing the message
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Object} [pickerData] - data for calendar: text, date (initial month), min, max, disabled (list of dates
+     * or function with date), firstWeekday (0 - Sunday, 1 - Monday by default), locale, options, cancelText,
+     * timeout (ms of inactivity, 1 hour by default), onTimeout, onCancel
+     * @param {Function} [cb] - callback with chosen date, if it is not specified, promise with date is returned
+     * @return {Promise|undefined}
+     */
+    sendDatePicker(chatId, pickerData, cb) {
+        if (!cb) {
+            return new Promise((resolve, reject) => {
+                this.sendDatePicker(chatId, this._rejectOnCancel(pickerData || {}, reject), resolve);
+            });
+        }
+
+        this._openDatePicker(chatId, pickerData || {}, cb);
+    }
+
+    /**
+     * Send inline keyboard with hours and then with minutes of the chosen hour and wait for chosen time
+     * @param {Number|String} chatId - unique identifier for the message recipient
+     * @param {Object} [pickerData] - data for time picker: text, date (day of the result, today by default),
+     * min and max (HH:MM), step (in minutes, 15 by default), locale, options, cancelText,
+     * timeout (ms of inactivity, 1 hour by default), onTimeout, onCancel
+     * @param {Function} [cb] - callback with date of chosen time, if it is not specified, promise is returned
+     * @return {Promise|undefined}
+     */
+    sendTimePicker(chatId, pickerData, cb) {
+        if (!cb) {
+            return new Promise((resolve, reject) => {
+                this.sendTimePicker(chatId, this._rejectOnCancel(pickerData || {}, reject), resolve);
+            });
+        }
+
+        this._openTimePicker(chatId, pickerData || {}, cb);
+    }
+
     /**
      * Send menu with reply keyboards
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Object} menuData - data for menu: options, keyboard, etc.
+     * @param {Object} menuData - data for menu: options, keyboard, timeout, onTimeout, onCancel, etc.
      * @param {Function} [cb] - callback which will be executed after button callback
+     * @return {Promise|undefined} - promise with scope of the answer, if callback is not specified
      */
     sendMenu(chatId, menuData, cb) {
+        if (!cb) {
+            return new Promise((resolve, reject) => {
+                this.sendMenu(chatId, this._rejectOnCancel(menuData, reject), resolve);
+            });
+        }
+
         let keyboard = this.buildKeyboard(menuData.keyboard);
         let flattenKeyboard = flattenDeep(menuData.keyboard);
 
@@ -923,6 +3391,14 @@ class tgBot {
             options[key] = option;
         });
 
+        // own function of the menu, so its waiting is not confused with waiting of another conversation
+        let waitOptions = {
+            type: 'menu',
+            timeout: menuData.timeout,
+            onTimeout: menuData.onTimeout,
+            onCancel: (reason) => menuData.onCancel && menuData.onCancel(reason)
+        };
+
         let waitForMessage = () => {
             this.waitForMessage(chatId, ($) => {
                 let text = $.message.text;
@@ -932,22 +3408,31 @@ class tgBot {
 
                 if (text) {
                     existedButton = find(flattenKeyboard, { text: text });
-                    existedButton.callback && existedButton.callback(text);
                 } else if (location) {
                     existedButton = find(flattenKeyboard, { request_location: true });
-                    existedButton.callback && existedButton.callback(location);
                 } else if (contact) {
                     existedButton = find(flattenKeyboard, { request_contact: true });
-                    existedButton.callback && existedButton.callback(contact);
                 }
 
-                existedButton || waitForMessage();
+                // answer is not a button of the menu, so the menu waits for another one
+                if (!existedButton) {
+                    waitForMessage();
+                    return;
+                }
 
-                cb && existedButton && cb($);
-            });
-        }
+                existedButton.callback && existedButton.callback(text || location || contact);
+                cb && cb($);
+            }, waitOptions);
+        };
+
+        // menu can't be answered when it is not sent, e.g. the bot was blocked
+        this.sendMessage(chatId, menuData.message, options).catch((err) => {
+            let wait = this._waitingCallbacks[chatId];
 
-        this.sendMessage(chatId, menuData.message, options);
+            this._handleError(err);
+            wait && wait.onCancel === waitOptions.onCancel && this._clearWait(chatId);
+            waitOptions.onCancel('error');
+        });
 
         waitForMessage();
     }
@@ -955,116 +3440,329 @@ class tgBot {
     /**
      * Send form to user
      * @param {Number|String} chatId - unique identifier for the message recipient
-     * @param {Object} formData - data for form
-     * @param {Function} cb - callback with result
+     * @param {Object} formData - data for form: fields, actions, options, timeout, onTimeout, onCancel,
+     * back: true or label of button which returns to the previous field,
+     * skip: label of button which skips optional field (field.optional), Skip by default,
+     * review: true or texts of review step ({ text, edit, confirm, cancel, empty }), where every answer can be edited
+     * before confirmation,
+     * locale: locale of default texts of typed fields, language of the user is used by default;
+     * field can have type: number (min, max, integer), email, phone, url, date (format, min, max), choice (choices,
+     * columns), regex (pattern), photo, document, voice, video, audio, location, contact, calendar and time (inline
+     * pickers with options of sendDatePicker and sendTimePicker)
+     * @param {Function} [cb] - callback with result, if it is not specified, promise with result is returned
+     * @return {Promise|undefined}
      */
     sendForm(chatId, formData, cb) {
-        let i = 0;
+        if (!cb) {
+            return new Promise((resolve, reject) => {
+                this.sendForm(chatId, this._rejectOnCancel(formData, reject), resolve);
+            });
+        }
+
         let result = {};
-        let fields = Object.keys(formData.fields);
+        let keys = Object.keys(formData.fields);
         let actions = formData.actions || {};
+        let formOptions = formData.options || {};
+        let backText = formData.back === true ? FORM_TEXTS.back : formData.back;
+        let skipText = formData.skip || FORM_TEXTS.skip;
+        let review = formData.review && assign({}, FORM_TEXTS.review, formData.review === true ? {} : formData.review);
+        // indexes of asked fields for back navigation
+        let history = [];
+        // field is edited from review step, so review is shown again after the answer
+        let editing = false;
+        let reviewing = false;
+        let inlinePrefix = null;
+        // function which closes inline picker of the current field
+        let closePicker = null;
+        // locale of default texts of typed fields, it is updated by language of the user from answers
+        let locale = formData.locale;
+
+        forEach(formData.fields, (field, key) => {
+            field && !isFunction(field) && field.type && formFields.checkField(key, field);
+        });
 
-        forEach(formData.options, (option, key) => {
-            if (key === 'reply_markup') {
-                option = assign(options[key], option);
+        let waitOptions = {
+            type: 'form',
+            timeout: formData.timeout,
+            onTimeout: formData.onTimeout,
+            onCancel: (reason) => {
+                stopPicker();
+                inlinePrefix && this._removeInlineHandler(inlinePrefix);
+                formData.onCancel && formData.onCancel(reason, result);
             }
+        };
 
-            options[key] = option;
-        });
+        let stopPicker = () => {
+            closePicker && closePicker('close');
+            closePicker = null;
+        };
 
-        let process = () => {
-            let key = fields[i]
-            let field = formData.fields[key];
-            let keyboard, flattenKeyboard, actionButtons;
+        let cancel = (reason) => {
+            let wait = this._waitingCallbacks[chatId];
 
-            if (isFunction(field)) {
-                field = field(result);
+            wait && wait.onCancel === waitOptions.onCancel && this._clearWait(chatId);
+            waitOptions.onCancel(reason);
+        };
 
-                if (!field) {
-                    i++;
+        // form can't be continued when its message is not sent, e.g. the bot was blocked
+        let fail = (err) => {
+            this._handleError(err);
+            cancel('error');
+        };
 
-                    if (i === fields.length) {
-                        cb(result);
-                        return;
-                    }
+        let getField = (index) => {
+            let field = formData.fields[keys[index]];
 
-                    process();
-                }
+            return isFunction(field) ? field(result) : field;
+        };
+
+        let next = (index) => {
+            if (editing) {
+                showReview();
+            } else {
+                process(index + 1);
             }
+        };
 
-            if (field.keyboard) {
-                keyboard = this.buildKeyboard(field.keyboard);
-                flattenKeyboard = flattenDeep(field.keyboard);
-                actionButtons = map(flattenKeyboard, (item) => {
-                    return item.action && item;
-                });
+        let finish = () => {
+            if (review) {
+                showReview();
+            } else {
+                cb(result);
+            }
+        };
+
+        let process = (index) => {
+            stopPicker();
+
+            if (index >= keys.length) {
+                finish();
+                return;
+            }
+
+            let key = keys[index];
+            let field = getField(index);
+
+            if (!field) {
+                delete result[key];
+                next(index);
+                return;
             }
 
-            let onError = () => {
-                field.error ? this.sendMessage(chatId, field.error, { disable_web_page_preview: true }).then(() => {
-                    process();
-                }) : process();
+            field.type && formFields.checkField(key, field);
+
+            let keyboardItems = field.keyboard || (field.type && formFields.getKeyboard(field, locale));
+            let flattenKeyboard = keyboardItems ? flattenDeep(keyboardItems) : [];
+            let actionButtons = compact(map(flattenKeyboard, (item) => item.action && item));
+            let canGoBack = backText && (editing || history.length);
+            let canSkip = field.optional;
+            let controls = compact([canGoBack && backText, canSkip && skipText]);
+            let keyboard = keyboardItems ? this.buildKeyboard(keyboardItems) : [];
+            let picker = field.type && formFields.getPicker(field);
+
+            // controls of fields with inline picker are its buttons
+            controls.length && !picker && keyboard.push(controls);
+
+            let goBack = () => {
+                if (editing) {
+                    showReview();
+                } else {
+                    process(history.pop());
+                }
+            };
+
+            let skip = () => {
+                delete result[key];
+                editing || history.push(index);
+                next(index);
             };
 
-            let keyboardValidator = (text) => {
-                return find(flattenKeyboard, { text: text }) || includes(flattenKeyboard, text);
+            let accept = (value) => {
+                result[key] = value;
+                editing || history.push(index);
+                next(index);
             };
 
-            let options = {
-                disable_web_page_preview: true
+            let onError = (error) => {
+                error = error || field.error;
+
+                error ? this.sendMessage(chatId, error, { disable_web_page_preview: true }).then(() => {
+                    process(index);
+                }, fail) : process(index);
             };
 
-            if (field.options) {
-                assign(options, field.options);
-            }
+            let keyboardValidator = (text) => {
+                return find(flattenKeyboard, { text: text }) || includes(flattenKeyboard, text);
+            };
 
-            if (keyboard) {
-                options.reply_markup = {
+            // form-level reply_markup is applied only to questions with keyboard
+            let options = assign({ disable_web_page_preview: true }, omit(formOptions, 'reply_markup'), field.options);
+
+            if (keyboard.length) {
+                options.reply_markup = assign({
                     one_time_keyboard: true,
                     resize_keyboard: false,
                     keyboard: keyboard
+                }, formOptions.reply_markup, field.options && field.options.reply_markup);
+            }
+
+            if (picker) {
+                let open = picker === 'time' ? this._openTimePicker : this._openDatePicker;
+                let onControl = (action) => () => {
+                    closePicker = null;
+                    this._clearWait(chatId);
+                    action();
                 };
 
-                if (field.options && field.options.reply_markup) {
-                    assign(options.reply_markup, field.options.reply_markup);
-                }
+                closePicker = open.call(this, chatId, assign({}, field, {
+                    text: field.q,
+                    locale: field.locale || locale,
+                    options: omit(options, 'reply_markup'),
+                    actions: compact([
+                        canGoBack && { text: backText, callback: onControl(goBack) },
+                        canSkip && { text: skipText, callback: onControl(skip) }
+                    ]),
+                    timeout: null,
+                    onTimeout: null,
+                    // picker is closed with error when it is not sent, the error is already handled by it
+                    onCancel: (reason) => reason === 'error' && cancel(reason)
+                }), (value) => onControl(() => accept(value))());
+            } else {
+                this.sendMessage(chatId, field.q, options).catch(fail);
             }
 
-            this.sendMessage(chatId, field.q, options);
-
+            // answer can also be typed, when field has inline picker
             this.waitForMessage(chatId, ($) => {
-                let isValid = field.validator ? Boolean(field.validator($.message, keyboardValidator)) : true;
+                let text = $.message.text;
+                let value = text || $.message.location || $.message.contact;
 
-                if (isValid) {
-                    if ($.message.text) {
-                        let actionButton = find(actionButtons, { text: $.message.text });
+                locale = formData.locale || get($.message, 'from.language_code');
 
-                        if (actionButton && actions[actionButton.action]) {
-                            actions[actionButton.action](result, cb);
-                            return;
-                        }
-                    }
+                if (canGoBack && text === backText) {
+                    goBack();
+                    return;
+                }
+
+                if (canSkip && text === skipText) {
+                    skip();
+                    return;
+                }
+
+                let actionButton = text && find(actionButtons, { text: text });
+
+                if (actionButton && actions[actionButton.action]) {
+                    actions[actionButton.action](result, cb);
+                    return;
+                }
 
-                    result[key] = $.message.text || $.message.location || $.message.contact;
-                    i++;
+                if (field.type) {
+                    let parsed = formFields.parse($.message, field, locale);
 
-                    if (i === fields.length) {
-                        cb(result);
+                    if (parsed.error) {
+                        onError(parsed.error);
                         return;
                     }
 
-                    process();
-                } else {
+                    value = parsed.value;
+                }
+
+                // custom validator works with typed fields too, it gets parsed value
+                let isValid = field.validator ? Boolean(field.validator($.message, keyboardValidator, value)) : true;
+
+                if (!isValid) {
                     onError();
+                    return;
+                }
+
+                accept(value);
+            }, waitOptions);
+        };
+
+        let showReview = () => {
+            let lines = [];
+            let buttons = [];
+
+            stopPicker();
+            editing = false;
+            reviewing = true;
+            inlinePrefix = inlinePrefix || this._addInlineHandler(onReviewButton);
+
+            keys.forEach((key, index) => {
+                let field = getField(index);
+
+                if (!field) {
+                    return;
+                }
+
+                let label = field.label || key;
+                let value = result[key];
+
+                if (value === undefined) {
+                    value = review.empty;
+                } else if (isFunction(field.format)) {
+                    value = field.format(value);
+                } else {
+                    let typed = field.type ? formFields.format(value, field, locale) : undefined;
+
+                    value = typed !== undefined ? typed : this._formatFormValue(value);
                 }
+
+                lines.push(label + ': ' + value);
+                buttons.push({ text: review.edit + ' ' + label, callback_data: inlinePrefix + 'edit:' + index });
             });
-        }
 
-        process();
+            let keyboard = chunk(buttons, 2);
+
+            keyboard.push([
+                { text: review.confirm, callback_data: inlinePrefix + 'confirm' },
+                { text: review.cancel, callback_data: inlinePrefix + 'cancel' }
+            ]);
+
+            this.sendMessage(chatId, review.text + '\n\n' + lines.join('\n'), assign({}, formOptions, {
+                reply_markup: { inline_keyboard: keyboard }
+            })).catch(fail);
+
+            // text messages on review step repeat the review, waiting also keeps timeout and cancel command
+            this.waitForMessage(chatId, showReview, waitOptions);
+        };
+
+        let onReviewButton = ($, action) => {
+            if ($.chatId !== chatId || !reviewing) {
+                return $.answer();
+            }
+
+            let edit = action.match(/^edit:(\d+)$/);
+
+            reviewing = false;
+            this._clearWait(chatId);
+
+            if (edit) {
+                editing = true;
+                process(+edit[1]);
+
+                return $.answer();
+            }
+
+            this._removeInlineHandler(inlinePrefix);
+
+            // buttons of confirmed or cancelled review should not be pressed again
+            $.message && this.editChatMessageReplyMarkup(chatId, $.message.message_id, { inline_keyboard: [] })
+                .catch((err) => this._handleError(err, $));
+
+            if (action === 'confirm') {
+                cb(result);
+            } else {
+                formData.onCancel && formData.onCancel('cancel', result);
+            }
+
+            return $.answer();
+        };
+
+        process(0);
     }
 
     goTo(scope, command) {
-        this._waitingCallbacks[scope.chatId] = null;
+        this.cancelWait(scope.chatId, 'goTo');
         scope.message.text = command;
 
         this._processMessage(scope);
@@ -1074,3 +3772,28 @@ class tgBot {
 module.exports = (token, options) => {
     return new tgBot(token, options)
 };
+
+module.exports.inlineResults = inlineResults;
+module.exports.session = session;
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileStore = FileStore;
+module.exports.errors = errors;
+module.exports.RequestQueue = RequestQueue;
+module.exports.Broadcast = Broadcast;
+module.exports.Dispatcher = Dispatcher;
+module.exports.Transport = Transport;
+module.exports.Scene = Scene;
+module.exports.formFields = formFields;
+module.exports.calendar = calendar;
+
+// testing harness is loaded on demand, it isn't needed in production
+Object.defineProperty(module.exports, 'testing', {
+    enumerable: true,
+    get: () => require('./lib/testing')
+});
+
+forEach(errors, (value, name) => {
+    if (/Error$/.test(name)) {
+        module.exports[name] = value;
+    }
+});